@@ -0,0 +1,198 @@
+// Access control - issued user tokens, the admin token, per-user rate limits and monthly quotas
+const crypto = require('crypto');
+const { createUser, listUsers, findUserByToken, revokeUser } = require('./users');
+const { currentMonth, createUsageMeter, recordUsage, countConversions, summarizeUsage } = require('./usage');
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 20;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Routes anyone may call, even when AUTH_REQUIRED is set
+const PUBLIC_ROUTES = [
+    ['GET', '/'],
+    ['GET', '/health'],
+    ['GET', '/templates'],
+    ['GET', '/formats'],
+    ['GET', '/languages'],
+    ['GET', '/layout-options'],
+    ['GET', '/cover-letter/options'],
+    ['GET', '/providers']
+];
+
+// Routes that check their own admin token instead of a user token. Branded templates are
+// shared by everyone, so only the admin may add or remove them (listing them stays public)
+const ADMIN_PREFIXES = ['/admin/', '/anonymization/', '/templates'];
+
+function isAuthRequired() {
+    return process.env.AUTH_REQUIRED === 'true';
+}
+
+function bearerToken(req) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (match) {
+        return match[1];
+    }
+    // EventSource cannot set headers, so GET requests may pass the token as a query parameter
+    return req.method === 'GET' && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+// Constant-time comparison against a token from the server's environment
+function hasBearerToken(req, expected) {
+    const token = bearerToken(req);
+    if (!expected || !token) {
+        return false;
+    }
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+function authError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+// Identify the caller as req.user. Without AUTH_REQUIRED, requests without a token run
+// anonymously (req.user is null); a token that is sent must always be valid
+function authenticate(req, res, next) {
+    const isPublic = PUBLIC_ROUTES.some(([method, route]) => req.method === method && req.path === route);
+    if (req.method === 'OPTIONS' || isPublic || ADMIN_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
+        return next();
+    }
+
+    const token = bearerToken(req);
+    req.user = token ? findUserByToken(token) : null;
+
+    if (token && !req.user) {
+        return next(authError('Invalid or revoked access token', 401, 'invalid_token'));
+    }
+    if (!req.user && isAuthRequired()) {
+        return next(authError('An access token is required - ask your administrator for one', 401, 'auth_required'));
+    }
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (!hasBearerToken(req, process.env.ADMIN_TOKEN)) {
+        return next(authError('Admin access is not permitted', 403, 'forbidden'));
+    }
+    next();
+}
+
+// Routes that keep data per user, such as conversion history, need an identified caller
+// even when anonymous use is allowed - anonymous callers would all share one record
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return next(authError('This needs an access token - ask your administrator for one', 401, 'auth_required'));
+    }
+    next();
+}
+
+function limitFor(user, field, envName, fallback) {
+    if (user && user[field] !== null && user[field] !== undefined) {
+        return user[field];
+    }
+    const configured = parseInt(process.env[envName], 10);
+    return Number.isNaN(configured) ? fallback : configured;
+}
+
+function rateLimitPerMinute(user) {
+    return limitFor(user, 'rateLimitPerMinute', 'RATE_LIMIT_PER_MINUTE', DEFAULT_RATE_LIMIT_PER_MINUTE);
+}
+
+// The monthly quota counts every successful metered request - conversions, extractions,
+// ATS scores and cover letters alike, since each runs the model. Re-rendering edited or
+// stored resumes is free
+function monthlyQuota(user) {
+    return limitFor(user, 'monthlyQuota', 'MONTHLY_CONVERSION_QUOTA', 0);
+}
+
+// Sliding one-minute window per user (or per IP address for anonymous callers - see
+// TRUST_PROXY in server.js for how that address is found behind a proxy)
+const requestTimes = new Map();
+
+// Forget callers with no requests left in the window, so the map only holds recent callers
+function pruneRequestTimes(now = Date.now()) {
+    requestTimes.forEach((times, key) => {
+        if (times.length === 0 || now - times[times.length - 1] >= RATE_WINDOW_MS) {
+            requestTimes.delete(key);
+        }
+    });
+}
+setInterval(pruneRequestTimes, RATE_WINDOW_MS).unref();
+
+function rateLimit(req, res, next) {
+    const limit = rateLimitPerMinute(req.user);
+    if (limit === 0) {
+        return next();
+    }
+
+    const key = req.user ? req.user.id : `anonymous:${req.ip}`;
+    const now = Date.now();
+    const recent = (requestTimes.get(key) || []).filter(time => now - time < RATE_WINDOW_MS);
+
+    if (recent.length >= limit) {
+        res.set('Retry-After', String(Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000)));
+        requestTimes.set(key, recent);
+        return next(authError(`Rate limit reached - at most ${limit} requests per minute`, 429, 'rate_limited'));
+    }
+
+    recent.push(now);
+    requestTimes.set(key, recent);
+    next();
+}
+
+// Quotas apply to issued users; anonymous callers are only rate limited
+function quotaApplies(user) {
+    return Boolean(user) && monthlyQuota(user) > 0;
+}
+
+// Throw unless the user has `count` requests left this month (see monthlyQuota)
+function checkQuota(user, count = 1) {
+    if (!quotaApplies(user)) {
+        return;
+    }
+
+    const quota = monthlyQuota(user);
+
+    const used = countConversions(user.id);
+    if (used + count > quota) {
+        throw authError(`Monthly quota reached (${used} of ${quota} requests used in ${currentMonth()})`, 429, 'quota_exceeded');
+    }
+}
+
+// The caller's own limits and usage this month
+function describeAccount(user) {
+    const month = currentMonth();
+    const summary = summarizeUsage(month).users.find(entry => entry.user === (user ? user.id : 'anonymous'));
+    const quota = monthlyQuota(user);
+    const used = summary ? summary.conversions : 0;
+
+    return {
+        user,
+        month,
+        limits: {
+            monthlyQuota: user && quota > 0 ? quota : null,
+            remaining: user && quota > 0 ? Math.max(quota - used, 0) : null,
+            rateLimitPerMinute: rateLimitPerMinute(user) || null
+        },
+        usage: summary || null
+    };
+}
+
+module.exports = {
+    authenticate,
+    requireAdmin,
+    requireUser,
+    hasBearerToken,
+    rateLimit,
+    checkQuota,
+    quotaApplies,
+    describeAccount,
+    createUser,
+    listUsers,
+    revokeUser,
+    createUsageMeter,
+    recordUsage,
+    summarizeUsage
+};
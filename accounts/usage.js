@@ -0,0 +1,140 @@
+// Usage ledger - one line per conversion with the tokens the provider reported and
+// what they cost, kept in a JSON Lines file per calendar month (UTC)
+const fs = require('fs');
+const path = require('path');
+
+const USAGE_DIR = process.env.USAGE_DIR || path.join(__dirname, '..', 'data', 'usage');
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// USD per million tokens. LLM_PRICING can name a JSON file with more models or other prices,
+// e.g. { "gpt-4o-mini": { "input": 0.15, "output": 0.6 } }. Unknown models are recorded at no cost
+const DEFAULT_PRICES = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet-latest': { input: 3, output: 15 }
+};
+
+let cachedPrices = null;
+
+function loadPrices() {
+    if (!cachedPrices) {
+        const overrides = process.env.LLM_PRICING
+            ? JSON.parse(fs.readFileSync(process.env.LLM_PRICING, 'utf-8'))
+            : {};
+        cachedPrices = { ...DEFAULT_PRICES, ...overrides };
+    }
+    return cachedPrices;
+}
+
+function currentMonth(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+function estimateCost(model, usage) {
+    const price = loadPrices()[model];
+    if (!price) {
+        return 0;
+    }
+    const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+// Token totals for one conversion, fed by every provider call made for it
+function createUsageMeter() {
+    const usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    return {
+        usage,
+        add: (reported = {}) => {
+            usage.calls++;
+            usage.promptTokens += reported.promptTokens || 0;
+            usage.completionTokens += reported.completionTokens || 0;
+            usage.totalTokens += reported.totalTokens || 0;
+        }
+    };
+}
+
+function ledgerPath(month) {
+    return path.join(USAGE_DIR, `${month}.jsonl`);
+}
+
+function recordUsage({ user, kind, fileName, status, extractedWith, llm, usage }) {
+    const model = llm ? llm.model : undefined;
+    const record = {
+        at: new Date().toISOString(),
+        user: user ? user.id : 'anonymous',
+        kind,
+        fileName,
+        status,
+        extractor: extractedWith ? extractedWith.type : undefined,
+        cached: Boolean(extractedWith && extractedWith.cached),
+        provider: llm ? llm.provider : undefined,
+        model,
+        ...usage,
+        cost: model ? estimateCost(model, usage) : 0
+    };
+
+    fs.mkdirSync(USAGE_DIR, { recursive: true });
+    fs.appendFileSync(ledgerPath(currentMonth()), JSON.stringify(record) + '\n');
+    return record;
+}
+
+function readLedger(month) {
+    const ledger = ledgerPath(month);
+    if (!fs.existsSync(ledger)) {
+        return [];
+    }
+    return fs.readFileSync(ledger, 'utf-8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+}
+
+// Successful requests of every kind (convert, batch, extract, ats-score, cover-letter) count
+// towards the monthly quota; failures only cost tokens
+function countConversions(userId, month = currentMonth()) {
+    return readLedger(month).filter(record => record.user === userId && record.status === 'succeeded').length;
+}
+
+function emptyTotals() {
+    return { conversions: 0, failed: 0, cached: 0, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addRecord(totals, record) {
+    totals.conversions += record.status === 'succeeded' ? 1 : 0;
+    totals.failed += record.status === 'succeeded' ? 0 : 1;
+    totals.cached += record.cached ? 1 : 0;
+    ['calls', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'].forEach(field => {
+        totals[field] += record[field] || 0;
+    });
+}
+
+// Per-user totals for one month
+function summarizeUsage(month = currentMonth()) {
+    if (!MONTH_PATTERN.test(month)) {
+        const error = new Error('Month must be given as YYYY-MM');
+        error.status = 400;
+        throw error;
+    }
+
+    const users = {};
+    const totals = emptyTotals();
+    readLedger(month).forEach(record => {
+        users[record.user] = users[record.user] || { user: record.user, ...emptyTotals() };
+        addRecord(users[record.user], record);
+        addRecord(totals, record);
+    });
+
+    const round = (entry) => ({ ...entry, cost: Math.round(entry.cost * 1e6) / 1e6 });
+    return { month, users: Object.values(users).map(round), totals: round(totals) };
+}
+
+module.exports = {
+    currentMonth,
+    createUsageMeter,
+    recordUsage,
+    countConversions,
+    summarizeUsage
+};
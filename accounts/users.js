@@ -0,0 +1,93 @@
+// Issued access tokens - staff authenticate with a token instead of a provider API key.
+// Only a SHA-256 hash of each token is stored; the token itself is shown once at creation
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, '..', 'data', 'users.json');
+const ID_PATTERN = /^user-[a-f0-9]{8}$/;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function loadUsers() {
+    return fs.existsSync(USERS_FILE) ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf-8')).users : [];
+}
+
+function saveUsers(users) {
+    fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+    fs.writeFileSync(USERS_FILE, JSON.stringify({ users }, null, 2));
+}
+
+// Limits left unset (null) fall back to the server-wide defaults
+function parseLimit(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const limit = parseInt(value, 10);
+    if (Number.isNaN(limit) || limit < 0) {
+        const error = new Error(`${label} must be a whole number of 0 or more`);
+        error.status = 400;
+        throw error;
+    }
+    return limit;
+}
+
+// Public view of a user - never includes the token hash
+function describeUser({ tokenHash, ...user }) {
+    return user;
+}
+
+function createUser({ name, monthlyQuota, rateLimitPerMinute } = {}) {
+    if (!name || !String(name).trim()) {
+        const error = new Error('User name is required');
+        error.status = 400;
+        throw error;
+    }
+
+    const token = `rtc_${crypto.randomBytes(24).toString('hex')}`;
+    const user = {
+        id: `user-${crypto.randomBytes(4).toString('hex')}`,
+        name: String(name).trim(),
+        createdAt: new Date().toISOString(),
+        monthlyQuota: parseLimit(monthlyQuota, 'monthlyQuota'),
+        rateLimitPerMinute: parseLimit(rateLimitPerMinute, 'rateLimitPerMinute'),
+        tokenHash: hashToken(token)
+    };
+
+    saveUsers([...loadUsers(), user]);
+    return { user: describeUser(user), token };
+}
+
+function listUsers() {
+    return loadUsers().map(describeUser);
+}
+
+function findUserByToken(token) {
+    if (!token) {
+        return null;
+    }
+    const tokenHash = hashToken(token);
+    const user = loadUsers().find(candidate => candidate.tokenHash === tokenHash && !candidate.revokedAt);
+    return user ? describeUser(user) : null;
+}
+
+// Revoked users stay in the file so their usage history keeps a name
+function revokeUser(id) {
+    const users = loadUsers();
+    const user = ID_PATTERN.test(id) ? users.find(candidate => candidate.id === id && !candidate.revokedAt) : null;
+    if (!user) {
+        return false;
+    }
+    user.revokedAt = new Date().toISOString();
+    saveUsers(users);
+    return true;
+}
+
+module.exports = {
+    createUser,
+    listUsers,
+    findUserByToken,
+    revokeUser
+};
@@ -0,0 +1,275 @@
+// ATS compatibility - keyword coverage against a job description plus layout
+// features that applicant tracking system parsers are known to mis-read.
+const PizZip = require('pizzip');
+
+const MAX_KEYWORDS = 30;
+
+// Common English words plus job-ad boilerplate that says nothing about the role
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'for', 'with', 'from', 'that', 'this', 'these', 'those', 'are', 'is', 'was',
+    'were', 'be', 'been', 'being', 'has', 'have', 'had', 'our', 'your', 'their', 'its', 'into', 'onto', 'over',
+    'under', 'all', 'any', 'but', 'not', 'also', 'such', 'via', 'per', 'who', 'which', 'will', 'can', 'more',
+    'most', 'other', 'you', 'we', 'they', 'to', 'of', 'in', 'on', 'at', 'by', 'as', 'it', 'if', 'so', 'up',
+    'about', 'what', 'when', 'where', 'how', 'why', 'able', 'etc', 'well', 'very', 'must', 'should', 'would',
+    'may', 'including', 'include', 'includes', 'within', 'across', 'plus', 'using', 'use', 'work', 'working',
+    'role', 'job', 'position', 'candidate', 'candidates', 'company', 'team', 'teams', 'years', 'year',
+    'experience', 'experienced', 'ability', 'strong', 'excellent', 'good', 'great', 'skills', 'skill',
+    'knowledge', 'requirements', 'required', 'preferred', 'responsibilities', 'responsible', 'looking',
+    'join', 'new', 'based', 'related', 'relevant', 'proven', 'track', 'record', 'ideal', 'opportunity',
+    'environment', 'day', 'apply', 'application', 'benefits', 'salary', 'competitive', 'minimum', 'least', 'key',
+    'need', 'needs', 'needed', 'seeking', 'seek', 'want', 'wants', 'hiring', 'hire', 'help', 'make', 'ensure',
+    'like', 'get', 'let', 'us', 'me', 'my', 'he', 'she', 'his', 'her', 'them', 'there', 'here', 'then', 'than',
+    'both', 'each', 'every', 'some', 'many', 'much', 'only', 'own', 'same', 'too', 'just', 'do', 'does', 'did',
+    'no', 'yes', 'out', 'off', 'while', 'during', 'before', 'after', 'between', 'through', 'someone',
+    'individual', 'person', 'people', 'ideally', 'successful', 'please', 'part', 'full', 'time', 'type',
+    're', 'll', 've', 'don', 'isn', 'aren'
+]);
+
+// Scripts written without spaces between words are split with the word segmenter
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const wordSegmenter = new Intl.Segmenter('und', { granularity: 'word' });
+
+const STANDARD_HEADINGS = {
+    experience: /\b(experience|employment|work history|career history|professional background)\b/i,
+    education: /\b(education|qualifications|academic)\b/i,
+    skills: /\b(skills|competencies|expertise|technical proficiencies)\b/i
+};
+
+const EMAIL_PATTERN = /[^\s@<>]+@[^\s@<>]+\.[a-z]{2,}/i;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/;
+
+// Words in any script ("café", "Zürich", "инженер"), keeping tokens such as "c++", "c#"
+// and "node.js" intact
+function rawTokens(text) {
+    return (String(text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}+#.\-]*/gu) || [])
+        .map(token => token.replace(/[.\-]+$/, ''))
+        .flatMap(token => UNSPACED_SCRIPT.test(token)
+            ? Array.from(wordSegmenter.segment(token)).filter(part => part.isWordLike).map(part => part.segment)
+            : [token])
+        .filter(Boolean);
+}
+
+function tokenize(text) {
+    return rawTokens(text).map(stem);
+}
+
+// Crude plural folding so "APIs" matches "API" and "processes" matches "process" - English
+// only, words with other letters are compared as written
+function stem(token) {
+    if (token.length <= 3 || /[^a-z]/.test(token)) {
+        return token;
+    }
+    if (token.endsWith('ies') && token.length > 4) {
+        return `${token.slice(0, -3)}y`;
+    }
+    if (/(ss|x|ch|sh)es$/.test(token)) {
+        return token.slice(0, -2);
+    }
+    if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) {
+        return token.slice(0, -1);
+    }
+    return token;
+}
+
+function isKeywordToken(token) {
+    return token.length >= 2 && !STOPWORDS.has(token) && !/^\d+$/.test(token);
+}
+
+// Rank single terms and repeated two-word phrases by how often the job description uses them.
+// Counting happens on stemmed keys; the first spelling seen is kept for display.
+function extractKeywords(jobDescription) {
+    const counts = new Map();
+    const labels = new Map();
+    const add = (key, label) => {
+        counts.set(key, (counts.get(key) || 0) + 1);
+        if (!labels.has(key)) {
+            labels.set(key, label);
+        }
+    };
+
+    String(jobDescription || '').split(/(?:[;:!?\n•]|\.(?=\s|$))+/).forEach(sentence => {
+        const raw = rawTokens(sentence);
+        const tokens = raw.map(stem);
+        tokens.forEach((token, index) => {
+            if (!isKeywordToken(token)) {
+                return;
+            }
+            add(token, raw[index]);
+            const next = tokens[index + 1];
+            if (next && isKeywordToken(next)) {
+                add(`${token} ${next}`, `${raw[index]} ${raw[index + 1]}`);
+            }
+        });
+    });
+
+    const phrases = Array.from(counts.entries())
+        .filter(([keyword, count]) => keyword.includes(' ') && count >= 2);
+
+    // Drop single words that only ever appear inside a selected phrase
+    const singles = Array.from(counts.entries())
+        .filter(([keyword, count]) => !keyword.includes(' ') &&
+            !phrases.some(([phrase, phraseCount]) => phrase.split(' ').includes(keyword) && phraseCount >= count));
+
+    return [...phrases, ...singles]
+        .map(([key, count]) => ({ key, keyword: labels.get(key), weight: key.includes(' ') ? count * 1.5 : count }))
+        .sort((a, b) => b.weight - a.weight || a.key.localeCompare(b.key))
+        .slice(0, MAX_KEYWORDS);
+}
+
+function joinStrings(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(joinStrings).join('\n');
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).map(joinStrings).join('\n');
+    }
+    return '';
+}
+
+// Searchable text for each section of the structured resume
+function sectionTexts(resume) {
+    return {
+        summary: joinStrings(resume.summary),
+        experience: joinStrings(resume.experience),
+        education: joinStrings(resume.education),
+        projects: joinStrings(resume.projects),
+        publications: joinStrings(resume.publications),
+        volunteering: joinStrings(resume.volunteering),
+        certifications: joinStrings(resume.certifications),
+        achievements: joinStrings(resume.achievements),
+        awards: joinStrings(resume.awards),
+        skills: joinStrings(resume.skills),
+        languages: joinStrings(resume.languages),
+        personal: joinStrings(resume.personal)
+    };
+}
+
+function scoreKeywords(resume, jobDescription) {
+    const keywords = extractKeywords(jobDescription);
+    const sections = Object.entries(sectionTexts(resume))
+        .map(([section, text]) => [section, ` ${tokenize(text).join(' ')} `]);
+
+    const matched = [];
+    const missing = [];
+    keywords.forEach(({ key, keyword, weight }) => {
+        const foundIn = sections
+            .filter(([, text]) => text.includes(` ${key} `))
+            .map(([section]) => section);
+
+        if (foundIn.length > 0) {
+            matched.push({ keyword, weight, sections: foundIn });
+        } else {
+            missing.push({ keyword, weight });
+        }
+    });
+
+    const totalWeight = keywords.reduce((sum, { weight }) => sum + weight, 0);
+    const matchedWeight = matched.reduce((sum, { weight }) => sum + weight, 0);
+
+    // Keywords grouped by the section they were found in
+    const bySection = {};
+    matched.forEach(({ keyword, sections: foundIn }) => {
+        foundIn.forEach(section => {
+            bySection[section] = bySection[section] || [];
+            bySection[section].push(keyword);
+        });
+    });
+
+    return {
+        score: totalWeight === 0 ? 0 : Math.round((matchedWeight / totalWeight) * 100),
+        matched,
+        missing,
+        sections: bySection
+    };
+}
+
+function xmlText(xml) {
+    return (xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [])
+        .map(paragraph => (paragraph.match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>|<w:tab\/>/g) || [])
+            .map(run => (run === '<w:tab/>' ? '\t' : run.replace(/<[^>]+>/g, '')))
+            .join(''));
+}
+
+// Headings are short lines, so long sentences mentioning "experience" don't count
+function missingHeadings(lines) {
+    const headingLines = lines
+        .map(line => line.trim())
+        .filter(line => line && line.split(/\s+/).length <= 5);
+
+    return Object.entries(STANDARD_HEADINGS)
+        .filter(([, pattern]) => !headingLines.some(line => pattern.test(line)))
+        .map(([section]) => section);
+}
+
+function risk(id, severity, message) {
+    return { id, severity, message };
+}
+
+// Layout problems in a .docx - works for uploads and for our own generated output
+function analyseDocxLayout(buffer) {
+    const zip = new PizZip(buffer);
+    const documentXml = zip.file('word/document.xml')?.asText() || '';
+    const paragraphs = xmlText(documentXml);
+    const risks = [];
+
+    if (/<w:tbl>/.test(documentXml)) {
+        risks.push(risk('tables', 'high', 'The document uses tables - many ATS parsers read table cells out of order or skip them'));
+    }
+
+    if (/<w:txbxContent>/.test(documentXml)) {
+        risks.push(risk('text-boxes', 'high', 'Text boxes are used - their content is often ignored by ATS parsers'));
+    }
+
+    if (/<w:cols [^>]*w:num="([2-9])"/.test(documentXml)) {
+        risks.push(risk('columns', 'medium', 'Multi-column layout - parsers may interleave the columns line by line'));
+    }
+
+    if (paragraphs.some(text => / {5,}\S/.test(text))) {
+        risks.push(risk('space-aligned-dates', 'medium', 'Dates or text are aligned with runs of spaces - parsers can merge them with the job title; use tab stops instead'));
+    }
+
+    const headerText = zip.file(/^word\/(header|footer)\d*\.xml$/)
+        .map(file => xmlText(file.asText()).join('\n'))
+        .join('\n');
+    if (EMAIL_PATTERN.test(headerText) || PHONE_PATTERN.test(headerText)) {
+        risks.push(risk('contact-in-header', 'high', 'Contact details are in the page header or footer - many ATS parsers never read headers and footers'));
+    }
+
+    return { risks, lines: paragraphs };
+}
+
+// Formatting risks for any supported document plus its extracted text
+function analyseFormatting({ buffer, isDocx, text }) {
+    let risks = [];
+    let lines = String(text || '').split(/\r?\n/);
+
+    if (isDocx && buffer) {
+        const layout = analyseDocxLayout(buffer);
+        risks = layout.risks;
+        lines = layout.lines;
+    }
+
+    missingHeadings(lines).forEach(section => {
+        risks.push(risk(`missing-heading-${section}`, 'medium', `No standard "${section}" heading found - ATS parsers use headings to locate sections`));
+    });
+
+    const body = lines.join('\n');
+    if (!EMAIL_PATTERN.test(body)) {
+        risks.push(risk('missing-email', 'high', 'No email address found in the document body'));
+    }
+    if (!PHONE_PATTERN.test(body)) {
+        risks.push(risk('missing-phone', 'medium', 'No phone number found in the document body'));
+    }
+
+    return risks;
+}
+
+module.exports = {
+    tokenize,
+    extractKeywords,
+    scoreKeywords,
+    analyseFormatting
+};
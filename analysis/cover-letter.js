@@ -0,0 +1,87 @@
+// Cover letter validation and guardrails - the letter may only state what the resume says.
+// The job description lends the paragraphs nothing but the company name and role title;
+// the subject line, which is about the job, may use all of it.
+
+const { collectText, splitSentences, knownFacts, unsupportedReason } = require('./facts');
+
+function trimmed(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Check the model's letter has the expected shape; returns { letter, errors } like validateResume
+function validateLetter(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { letter: null, errors: [{ path: '', message: 'must be a JSON object' }] };
+    }
+
+    const paragraphs = (Array.isArray(data.paragraphs) ? data.paragraphs : [])
+        .map(trimmed)
+        .filter(Boolean);
+    if (paragraphs.length === 0) {
+        errors.push({ path: 'paragraphs', message: 'must be a non-empty array of paragraphs' });
+    }
+    ['greeting', 'closing'].forEach(field => {
+        if (!trimmed(data[field])) {
+            errors.push({ path: field, message: 'is required' });
+        }
+    });
+
+    const letter = {
+        company: trimmed(data.company),
+        role: trimmed(data.role),
+        subject: trimmed(data.subject),
+        greeting: trimmed(data.greeting),
+        paragraphs,
+        closing: trimmed(data.closing)
+    };
+    return { letter: errors.length === 0 ? letter : null, errors };
+}
+
+// Drop sentences with figures, or with names of employers, credentials, skills and the like,
+// that the resume does not have. A company or role the job description does not contain
+// is cleared, so it cannot vouch for anything
+function enforceLetterGuardrails(letter, resumeData, jobDescription = '') {
+    const warnings = [];
+    const resumeText = collectText(resumeData);
+    const jobLower = jobDescription.toLowerCase();
+
+    const jobTerm = (field, label) => {
+        if (letter[field] && !jobLower.includes(letter[field].toLowerCase())) {
+            warnings.push(`Ignored the ${label} "${letter[field]}" - it is not in the job description`);
+            return '';
+        }
+        return letter[field];
+    };
+    const company = jobTerm('company', 'company name');
+    const role = jobTerm('role', 'role title');
+
+    const known = knownFacts(`${resumeText}\n${company}\n${role}`);
+    const subjectKnown = knownFacts(`${resumeText}\n${jobDescription}`, 'the resume or job description');
+
+    const paragraphs = letter.paragraphs
+        .map(paragraph => splitSentences(paragraph).filter(sentence => {
+            const reason = unsupportedReason(sentence, known);
+            if (reason) {
+                warnings.push(`Removed "${sentence.trim()}" - ${reason}`);
+                return false;
+            }
+            return true;
+        }).join(' '))
+        .filter(Boolean);
+
+    const subjectReason = letter.subject ? unsupportedReason(letter.subject, subjectKnown) : null;
+    if (subjectReason) {
+        warnings.push(`Removed the subject line "${letter.subject}" - ${subjectReason}`);
+    }
+
+    return {
+        letter: { ...letter, company, role, subject: subjectReason ? '' : letter.subject, paragraphs },
+        warnings
+    };
+}
+
+module.exports = {
+    validateLetter,
+    enforceLetterGuardrails
+};
@@ -0,0 +1,72 @@
+// Fact checks shared by the rewriting steps (tailoring, cover letters) - a rewrite may only
+// use figures and names that appear in the text it was written from.
+
+// Capitalised wherever they appear in a sentence, so never a sign of an invented name
+const COMMON_CAPITALISED = new Set([
+    'i', 'i\'m', 'i\'ve', 'i\'d', 'i\'ll',
+    'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'
+]);
+
+const FIGURE_PATTERN = /\d+(?:[.,]\d+)?/g;
+
+function collectText(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(collectText).join('\n');
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).map(collectText).join('\n');
+    }
+    return '';
+}
+
+// Sentences end at punctuation followed by a space, so "3.2 days" stays in one piece
+function splitSentences(paragraph) {
+    return paragraph.split(/(?<=[.!?]["')\]]*)\s+/);
+}
+
+// Everything a rewrite may draw on: the figures as a set, the text lowercased for name
+// lookups, and how to name the source in warnings
+function knownFacts(text, source = 'the resume') {
+    return {
+        figures: new Set(text.match(FIGURE_PATTERN) || []),
+        lower: text.toLowerCase(),
+        source
+    };
+}
+
+// Figures like "45" or "30%" that are not in the known text
+function unknownFigures(text, known) {
+    return (String(text).match(FIGURE_PATTERN) || []).filter(number => !known.figures.has(number));
+}
+
+// Capitalised words past the start of a sentence that the known text never mentions
+function unknownNames(sentence, known) {
+    const words = String(sentence).trim().split(/\s+/).slice(1);
+    return words
+        .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, ''))
+        .filter(word => /^\p{Lu}/u.test(word) && word.length > 1)
+        .filter(word => !COMMON_CAPITALISED.has(word.toLowerCase()) && !known.lower.includes(word.toLowerCase()));
+}
+
+// Why a sentence is not backed by the known text, or null when everything in it is
+function unsupportedReason(sentence, known) {
+    const figures = unknownFigures(sentence, known);
+    if (figures.length > 0) {
+        return `its figures (${figures.join(', ')}) are not in ${known.source}`;
+    }
+    const names = unknownNames(sentence, known);
+    if (names.length > 0) {
+        return `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} not in ${known.source}`;
+    }
+    return null;
+}
+
+module.exports = {
+    collectText,
+    splitSentences,
+    knownFacts,
+    unsupportedReason
+};
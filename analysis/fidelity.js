@@ -0,0 +1,231 @@
+// Fidelity check - compares extracted resume data with the source text to catch
+// values the model invented (phone numbers, dates, employers) and content it dropped.
+
+// Below this share of source words appearing in the JSON, the report raises a coverage flag
+const COVERAGE_THRESHOLD = 0.8;
+const MAX_OMITTED_LINES = 20;
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'had',
+    'our', 'your', 'their', 'its', 'into', 'onto', 'over', 'under', 'all', 'any', 'but', 'not', 'also',
+    'such', 'via', 'per', 'who', 'which', 'will', 'can', 'been', 'being', 'more', 'most', 'other'
+]);
+
+// Legal suffixes the model often adds or drops without changing the organisation
+const ORGANISATION_NOISE = new Set(['llc', 'ltd', 'inc', 'plc', 'co', 'corp', 'limited', 'company', 'fze', 'fzco', 'gmbh']);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function tokenize(text) {
+    const normalized = normalizeText(text);
+    return normalized ? normalized.split(' ') : [];
+}
+
+function isContentWord(word) {
+    return word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+}
+
+function digitsOnly(text) {
+    return String(text || '').replace(/\D/g, '');
+}
+
+// Everything in the source that looks like a phone number, as digit strings
+function findPhoneNumbers(sourceText) {
+    return (sourceText.match(/\+?\d[\d\s().\-\/]{5,}\d/g) || []).map(digitsOnly);
+}
+
+function phoneInSource(value, sourcePhones) {
+    const digits = digitsOnly(value);
+    if (digits.length < 7) {
+        return false;
+    }
+
+    // Compare the subscriber part so an added or dropped country code still matches
+    const tail = digits.slice(-8);
+    return sourcePhones.some(candidate => candidate.endsWith(tail) || (candidate.length >= 7 && digits.endsWith(candidate.slice(-8))));
+}
+
+// Every year and month named in a date string must appear somewhere in the source
+function dateInSource(value, sourceWords) {
+    const tokens = tokenize(value);
+    const years = tokens.filter(token => /^(19|20)\d{2}$/.test(token));
+    const months = tokens
+        .map(token => MONTHS.find(month => token.startsWith(month)))
+        .filter(Boolean);
+
+    if (years.length === 0 && months.length === 0) {
+        return true;
+    }
+
+    const sourceMonths = new Set(Array.from(sourceWords)
+        .map(word => MONTHS.find(month => word.startsWith(month)))
+        .filter(Boolean));
+
+    return years.every(year => sourceWords.has(year)) && months.every(month => sourceMonths.has(month));
+}
+
+// Web addresses are compared without the scheme, "www." or a trailing slash, which the
+// schema adds or the model may drop
+function linkInSource(value, lowerSource) {
+    const address = String(value).toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+    return lowerSource.includes(address);
+}
+
+// Organisations are matched on the name before the first comma ("Company, City")
+function organisationInSource(value, normalizedSource, sourceWords) {
+    const name = normalizeText(String(value).split(',')[0]);
+    if (!name) {
+        return true;
+    }
+
+    if (` ${normalizedSource} `.includes(` ${name} `)) {
+        return true;
+    }
+
+    const words = name.split(' ').filter(word => !ORGANISATION_NOISE.has(word) && !STOPWORDS.has(word));
+    if (words.length === 0) {
+        return true;
+    }
+    const found = words.filter(word => sourceWords.has(word)).length;
+    return found / words.length >= 0.75;
+}
+
+// Collect every string value in the resume for the coverage estimate
+function collectStrings(value, strings = []) {
+    if (typeof value === 'string') {
+        strings.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStrings(item, strings));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collectStrings(item, strings));
+    }
+    return strings;
+}
+
+function estimateCoverage(resume, sourceText) {
+    const resumeWords = new Set(tokenize(collectStrings(resume).join(' ')));
+    const sourceContent = tokenize(sourceText).filter(isContentWord);
+    const uniqueSource = new Set(sourceContent);
+    const matched = Array.from(uniqueSource).filter(word => resumeWords.has(word)).length;
+
+    // Lines whose content words mostly never made it into the JSON
+    const omittedLines = sourceText.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => {
+            const words = tokenize(line).filter(isContentWord);
+            if (words.length < 3) {
+                return false;
+            }
+            const present = words.filter(word => resumeWords.has(word)).length;
+            return present / words.length < 0.5;
+        })
+        .slice(0, MAX_OMITTED_LINES);
+
+    return {
+        ratio: uniqueSource.size === 0 ? 1 : Math.round((matched / uniqueSource.size) * 1000) / 1000,
+        sourceWords: uniqueSource.size,
+        matchedWords: matched,
+        omittedLines
+    };
+}
+
+// Build the fidelity report for a validated resume and the text it was extracted from.
+// A translated resume (options.translated) shares few words with its source, so its
+// coverage is reported but not flagged - names, organisations and dates are still checked
+function checkFidelity(resume, sourceText, options = {}) {
+    const text = String(sourceText || '');
+    const normalizedSource = normalizeText(text);
+    const sourceWords = new Set(normalizedSource.split(' '));
+    const sourcePhones = findPhoneNumbers(text);
+    const flags = [];
+    let checked = 0;
+
+    const check = (path, type, value, found) => {
+        if (!value) {
+            return;
+        }
+        checked++;
+        if (!found) {
+            flags.push({ path, type, value, message: `${type} not found in the source text` });
+        }
+    };
+
+    check('email', 'email', resume.email, text.toLowerCase().includes(String(resume.email).toLowerCase()));
+    check('phone', 'phone', resume.phone, phoneInSource(resume.phone, sourcePhones));
+
+    (resume.experience || []).forEach((job, index) => {
+        check(`experience[${index}].dates`, 'date', job.dates, dateInSource(job.dates, sourceWords));
+        check(`experience[${index}].company`, 'company', job.company, organisationInSource(job.company, normalizedSource, sourceWords));
+    });
+
+    (resume.education || []).forEach((edu, index) => {
+        check(`education[${index}].year`, 'date', edu.year, dateInSource(edu.year, sourceWords));
+        check(`education[${index}].institution`, 'institution', edu.institution, organisationInSource(edu.institution, normalizedSource, sourceWords));
+    });
+
+    const lowerSource = text.toLowerCase();
+    (resume.links || []).forEach((link, index) => {
+        check(`links[${index}].url`, 'link', link.url, linkInSource(link.url, lowerSource));
+    });
+
+    (resume.projects || []).forEach((project, index) => {
+        check(`projects[${index}].dates`, 'date', project.dates, dateInSource(project.dates, sourceWords));
+        check(`projects[${index}].url`, 'link', project.url, linkInSource(project.url, lowerSource));
+    });
+
+    (resume.publications || []).forEach((publication, index) => {
+        check(`publications[${index}].date`, 'date', publication.date, dateInSource(publication.date, sourceWords));
+        check(`publications[${index}].url`, 'link', publication.url, linkInSource(publication.url, lowerSource));
+    });
+
+    (resume.volunteering || []).forEach((entry, index) => {
+        check(`volunteering[${index}].dates`, 'date', entry.dates, dateInSource(entry.dates, sourceWords));
+        check(`volunteering[${index}].organization`, 'organisation', entry.organization, organisationInSource(entry.organization, normalizedSource, sourceWords));
+    });
+
+    (resume.awards || []).forEach((award, index) => {
+        check(`awards[${index}].date`, 'date', award.date, dateInSource(award.date, sourceWords));
+    });
+
+    const coverage = estimateCoverage(resume, text);
+    if (coverage.ratio < COVERAGE_THRESHOLD && !options.translated) {
+        flags.push({
+            path: '',
+            type: 'coverage',
+            value: `${Math.round(coverage.ratio * 100)}%`,
+            message: `only ${Math.round(coverage.ratio * 100)}% of the source content appears in the extracted data`
+        });
+    }
+
+    return {
+        passed: flags.length === 0,
+        checked,
+        flags,
+        coverage
+    };
+}
+
+// Error raised when flagged output is requested without acknowledgement (or in strict mode)
+function createFidelityError(report, strict) {
+    const error = new Error(strict
+        ? 'Strict mode: resolve the flagged values before generating the document'
+        : 'The extracted data has unverified values - acknowledge the flags to generate the document');
+    error.status = 409;
+    error.details = report.flags.map(({ path, message }) => ({ path, message }));
+    error.fidelity = report;
+    return error;
+}
+
+module.exports = {
+    checkFidelity,
+    createFidelityError
+};
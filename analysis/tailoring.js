@@ -0,0 +1,206 @@
+// Tailoring guardrails and diff - keeps a job-targeted rewrite honest by restoring
+// facts the model must not change and listing every change for recruiter review.
+
+const { collectText, splitSentences, knownFacts, unsupportedReason } = require('./facts');
+const { tokenize } = require('./ats');
+
+const SIMILARITY_THRESHOLD = 0.3;
+
+function tokens(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}+#]+/gu) || [];
+}
+
+// Jaccard similarity of the word sets, used to pair reworded bullets with their source
+function similarity(a, b) {
+    const setA = new Set(tokens(a));
+    const setB = new Set(tokens(b));
+    if (setA.size === 0 || setB.size === 0) {
+        return 0;
+    }
+    const shared = Array.from(setA).filter(word => setB.has(word)).length;
+    return shared / (setA.size + setB.size - shared);
+}
+
+function splitList(value) {
+    return String(value || '').split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Put back every fact the tailoring step is not allowed to touch, and drop rewritten text
+// that brings in figures, names or skills the original does not have
+function enforceTailoringGuardrails(original, tailored, sourceText = '') {
+    const warnings = [];
+    const knownText = `${collectText(original)}\n${sourceText}`;
+    const known = knownFacts(knownText);
+    const rejectedSkills = [];
+
+    // Tokenized as the ATS check does and padded, so a skill only matches whole words -
+    // "Java" is not found in "JavaScript"
+    const knownTokens = ` ${tokenize(knownText).join(' ')} `;
+    const skills = {
+        technical: keepKnownSkills(tailored.skills.technical, original.skills.technical, knownTokens, 'technical', warnings, rejectedSkills),
+        core: keepKnownSkills(tailored.skills.core, original.skills.core, knownTokens, 'core', warnings, rejectedSkills)
+    };
+
+    // Why rewritten text cannot stay, or null when all of it is backed by the original
+    const unsupported = (text) => {
+        const lower = text.toLowerCase();
+        const skill = rejectedSkills.find(name => lower.includes(name.toLowerCase()));
+        if (skill) {
+            return `it mentions ${skill}, which is not in the resume`;
+        }
+        return splitSentences(text).map(sentence => unsupportedReason(sentence, known)).find(Boolean) || null;
+    };
+
+    const summary = tailored.summary
+        .map(paragraph => splitSentences(paragraph).filter(sentence => {
+            const reason = unsupported(sentence);
+            if (reason) {
+                warnings.push(`summary: removed "${sentence.trim()}" - ${reason}`);
+            }
+            return !reason;
+        }).join(' '))
+        .filter(Boolean);
+
+    const result = {
+        ...original,
+        summary: summary.length > 0 ? summary : original.summary,
+        experience: original.experience.map((job, index) => {
+            const tailoredJob = tailored.experience[index];
+            if (!tailoredJob) {
+                warnings.push(`experience[${index}] was dropped by the model and has been restored`);
+                return job;
+            }
+
+            ['title', 'company', 'dates'].forEach(field => {
+                if (tailoredJob[field] !== job[field]) {
+                    warnings.push(`experience[${index}].${field} was changed from "${job[field]}" to "${tailoredJob[field]}" - original kept`);
+                }
+            });
+
+            // Every bullet must be a reordered or reworded original; a rewording that adds
+            // unsupported facts falls back to the bullet it came from
+            const responsibilities = diffBullets(job.responsibilities, tailoredJob.responsibilities).bullets.map(bullet => {
+                if (bullet.status === 'new') {
+                    warnings.push(`experience[${index}]: "${bullet.text}" does not match any original responsibility and was removed`);
+                    return null;
+                }
+                const reason = unsupported(bullet.text);
+                if (reason) {
+                    warnings.push(`experience[${index}]: "${bullet.text}" was replaced by the original wording - ${reason}`);
+                    return job.responsibilities[bullet.originalIndex];
+                }
+                return bullet.text;
+            }).filter(Boolean);
+
+            return {
+                ...job,
+                responsibilities: responsibilities.length > 0 ? responsibilities : job.responsibilities
+            };
+        }),
+        skills
+    };
+
+    if (summary.length === 0 && tailored.summary.length > 0) {
+        warnings.push('summary: nothing of the rewrite was backed by the resume - original kept');
+    }
+    if (tailored.experience.length > original.experience.length) {
+        warnings.push(`${tailored.experience.length - original.experience.length} experience entries invented by the model were removed`);
+    }
+
+    return { resume: result, warnings };
+}
+
+// Skills may be reordered or surfaced from elsewhere in the resume, never invented.
+// Invented skills are added to `rejected` so rewritten text cannot bring them back
+function keepKnownSkills(tailoredValue, originalValue, knownTokens, group, warnings, rejected) {
+    const kept = splitList(tailoredValue).filter(skill => {
+        const words = tokenize(skill);
+        if (words.length > 0 && knownTokens.includes(` ${words.join(' ')} `)) {
+            return true;
+        }
+        warnings.push(`skills.${group}: "${skill}" is not mentioned in the original resume and was removed`);
+        rejected.push(skill);
+        return false;
+    });
+
+    return kept.length > 0 ? kept.join(', ') : originalValue;
+}
+
+function diffBullets(originalBullets, tailoredBullets) {
+    const used = new Set();
+
+    const bullets = tailoredBullets.map((text, index) => {
+        const exact = originalBullets.findIndex((bullet, i) => !used.has(i) && bullet === text);
+        if (exact !== -1) {
+            used.add(exact);
+            return { status: exact === index ? 'unchanged' : 'moved', text, originalIndex: exact };
+        }
+
+        let best = -1;
+        let bestScore = 0;
+        originalBullets.forEach((bullet, i) => {
+            const score = similarity(bullet, text);
+            if (!used.has(i) && score > bestScore) {
+                best = i;
+                bestScore = score;
+            }
+        });
+
+        if (best !== -1 && bestScore >= SIMILARITY_THRESHOLD) {
+            used.add(best);
+            return { status: 'reworded', text, original: originalBullets[best], originalIndex: best };
+        }
+        return { status: 'new', text };
+    });
+
+    const removed = originalBullets.filter((bullet, i) => !used.has(i));
+    return { bullets, removed };
+}
+
+function diffSkills(originalValue, tailoredValue) {
+    const originalItems = splitList(originalValue);
+    const tailoredItems = splitList(tailoredValue);
+    const lower = (items) => new Set(items.map(item => item.toLowerCase()));
+    const originalSet = lower(originalItems);
+    const tailoredSet = lower(tailoredItems);
+
+    return {
+        original: originalValue,
+        tailored: tailoredValue,
+        added: tailoredItems.filter(item => !originalSet.has(item.toLowerCase())),
+        removed: originalItems.filter(item => !tailoredSet.has(item.toLowerCase()))
+    };
+}
+
+// Field-by-field comparison of the faithful and the tailored resume
+function diffTailoredResume(original, tailored) {
+    const summaryChanged = original.summary.join('\n') !== tailored.summary.join('\n');
+
+    const experience = tailored.experience.map((job, index) => {
+        const { bullets, removed } = diffBullets(original.experience[index].responsibilities, job.responsibilities);
+        return { index, title: job.title, company: job.company, bullets, removed };
+    });
+
+    const skills = {
+        technical: diffSkills(original.skills.technical, tailored.skills.technical),
+        core: diffSkills(original.skills.core, tailored.skills.core)
+    };
+
+    const changeCount = (summaryChanged ? 1 : 0) +
+        experience.reduce((sum, job) => sum + job.removed.length +
+            job.bullets.filter(bullet => bullet.status !== 'unchanged').length, 0) +
+        Object.values(skills).reduce((sum, group) => sum + group.added.length + group.removed.length +
+            (group.added.length === 0 && group.removed.length === 0 && group.original !== group.tailored ? 1 : 0), 0);
+
+    return {
+        changeCount,
+        summary: { changed: summaryChanged, original: original.summary, tailored: tailored.summary },
+        experience,
+        skills
+    };
+}
+
+module.exports = {
+    enforceTailoringGuardrails,
+    diffTailoredResume
+};
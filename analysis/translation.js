@@ -0,0 +1,98 @@
+// Translation guardrails and side-by-side view - names, organisations, certifications,
+// dates and contact details are carried over from the original whatever the model returned,
+// and every translated value is listed next to its original for review.
+
+// Fields kept exactly as extracted, per section ('' is the top level)
+const FIXED_FIELDS = {
+    '': ['name', 'phone', 'email', 'links', 'certifications'],
+    experience: ['company', 'dates'],
+    education: ['institution', 'year'],
+    projects: ['name', 'dates', 'url'],
+    publications: ['title', 'publisher', 'date', 'url'],
+    volunteering: ['organization', 'dates'],
+    awards: ['issuer', 'date'],
+    references: ['name', 'contact']
+};
+
+// Lists whose items are translated one for one - a different count means something was
+// dropped, merged or invented
+const ITEM_LISTS = {
+    '': ['summary', 'achievements'],
+    experience: ['responsibilities'],
+    projects: ['highlights'],
+    volunteering: ['highlights']
+};
+
+const ENTRY_SECTIONS = ['experience', 'education', 'projects', 'publications', 'volunteering', 'awards', 'languages', 'references'];
+
+// Put back the fixed fields and keep the original wherever the translation does not line up
+function enforceTranslationGuardrails(original, translated) {
+    const warnings = [];
+
+    const keepFixed = (source, target, section, path) => {
+        const result = { ...target };
+        (FIXED_FIELDS[section] || []).forEach(field => {
+            if (JSON.stringify(target[field]) !== JSON.stringify(source[field])) {
+                warnings.push(`${path}${field} was changed by the translation - original kept`);
+            }
+            result[field] = source[field];
+        });
+        (ITEM_LISTS[section] || []).forEach(field => {
+            if ((target[field] || []).length !== (source[field] || []).length) {
+                warnings.push(`${path}${field} has ${(target[field] || []).length} items instead of ${(source[field] || []).length} - original kept`);
+                result[field] = source[field];
+            }
+        });
+        return result;
+    };
+
+    const result = keepFixed(original, translated, '', '');
+    ENTRY_SECTIONS.forEach(section => {
+        const sourceEntries = original[section] || [];
+        const targetEntries = translated[section] || [];
+        if (targetEntries.length !== sourceEntries.length) {
+            warnings.push(`${section} has ${targetEntries.length} entries instead of ${sourceEntries.length} - the untranslated section was kept`);
+            result[section] = sourceEntries;
+            return;
+        }
+        result[section] = sourceEntries.map((entry, index) => keepFixed(entry, targetEntries[index], section, `${section}[${index}].`));
+    });
+
+    if ((translated.personal.other || []).length !== (original.personal.other || []).length) {
+        warnings.push('personal.other was changed by the translation - original kept');
+        result.personal = { ...translated.personal, other: original.personal.other };
+    }
+
+    return { resume: result, warnings };
+}
+
+// Every translatable text value with its original, in document order
+function pairTranslation(original, translated) {
+    const fields = [];
+
+    const visit = (source, target, path, section) => {
+        if (typeof source === 'string') {
+            if (source.trim()) {
+                fields.push({ path, original: source, translated: target, changed: source !== target });
+            }
+            return;
+        }
+        if (Array.isArray(source)) {
+            source.forEach((item, index) => visit(item, (target || [])[index], `${path}[${index}]`, section));
+            return;
+        }
+        if (source && typeof source === 'object') {
+            Object.keys(source)
+                .filter(key => !(FIXED_FIELDS[section] || []).includes(key))
+                .forEach(key => visit(source[key], (target || {})[key], path ? `${path}.${key}` : key, ENTRY_SECTIONS.includes(key) ? key : section));
+        }
+    };
+
+    visit(original, translated, '', '');
+    return fields;
+}
+
+module.exports = {
+    enforceTranslationGuardrails,
+    pairTranslation
+};
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+// resume-convert - convert resumes from the command line with the same pipeline as the API.
+// Provider keys and defaults come from the same environment variables as the server
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { getTemplate } = require('../templates');
+const { getFormat } = require('../renderers');
+const { listLanguages } = require('../renderers/labels');
+const { resolveLayoutOptions } = require('../renderers/layout-options');
+const { RESUME_EXTENSIONS } = require('../extractors');
+const { expandUploads, mapWithConcurrency, getBatchConcurrency } = require('../pipeline/batch');
+const { runExtraction, runConversion, resolveExtractor, finalResume, outputFileName } = require('../pipeline/conversion');
+const { setQuiet } = require('../pipeline/log');
+
+const USAGE = `Usage: resume-convert [options] <file|directory|glob>...
+
+Converts each resume (PDF, Word, RTF, ODT, HTML, JSON, text or a ZIP of them) into the
+chosen template and format. Quote glob patterns to let resume-convert expand them,
+e.g. "cvs/**/*.pdf".
+
+Options:
+  -t, --template <id>          Template id (default: elite)
+  -f, --format <id>            docx, pdf, html, markdown, text or json (default: docx)
+  -p, --provider <id>          LLM provider (default: LLM_PROVIDER or openai)
+  -m, --model <name>           Model name for the provider
+  -e, --extractor <type>       llm or heuristic (default: llm)
+  -o, --out-dir <dir>          Where to write the results (default: current directory)
+  -j, --job-description <file> Tailor each resume to the job description in this file
+  -l, --target-language <code> Translate each resume into this language (${listLanguages().map(language => language.code).join(', ')})
+      --layout <file>          Page size, margins, font, date, footer and section options as JSON
+                               (the layout object the /render endpoint takes)
+      --json                   Also write the structured resume JSON next to each document
+                               (and the original and translated text side by side)
+      --extract-only           Write only the structured resume JSON, no document
+      --anonymize              Produce blind resumes (candidate reference instead of identity)
+      --acknowledge-flags      Render even when the fidelity check flags values
+      --strict                 Fail any resume with flagged values
+      --no-cache               Always call the model, ignoring cached extractions
+      --no-fallback            Fail instead of falling back to the heuristic parser
+  -c, --concurrency <n>        Resumes converted at once (default: BATCH_CONCURRENCY or 3)
+  -v, --verbose                Show pipeline logging
+  -h, --help                   Show this help
+
+Exits with status 1 if any resume fails and 2 for invalid arguments.`;
+
+const OPTIONS = {
+    template: { type: 'string', short: 't' },
+    format: { type: 'string', short: 'f' },
+    provider: { type: 'string', short: 'p' },
+    model: { type: 'string', short: 'm' },
+    extractor: { type: 'string', short: 'e' },
+    'out-dir': { type: 'string', short: 'o', default: '.' },
+    'job-description': { type: 'string', short: 'j' },
+    'target-language': { type: 'string', short: 'l' },
+    layout: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    'extract-only': { type: 'boolean', default: false },
+    anonymize: { type: 'boolean', default: false },
+    'acknowledge-flags': { type: 'boolean', default: false },
+    strict: { type: 'boolean', default: false },
+    'no-cache': { type: 'boolean', default: false },
+    'no-fallback': { type: 'boolean', default: false },
+    concurrency: { type: 'string', short: 'c' },
+    verbose: { type: 'boolean', short: 'v', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = 2;
+    return error;
+}
+
+function hasWildcard(pattern) {
+    return /[*?[]/.test(pattern);
+}
+
+// "**" matches any number of directories, "*" and "?" stay within one path segment
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i);
+            source += end > i ? pattern.slice(i, end + 1) : '\\[';
+            i = end > i ? end : i;
+        } else {
+            source += /[.+^${}()|\\]/.test(char) ? `\\${char}` : char;
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            return entry.isDirectory() ? walk(fullPath) : [fullPath];
+        });
+}
+
+function isResumeFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return extension === '.zip' || RESUME_EXTENSIONS.includes(extension);
+}
+
+// Files, directories (every resume inside, recursively) and glob patterns, in argument order
+function resolveInputs(args) {
+    const files = [];
+    args.forEach(arg => {
+        if (hasWildcard(arg)) {
+            const normalised = arg.split(path.sep).join('/');
+            const segments = normalised.split('/');
+            const firstWildcard = segments.findIndex(hasWildcard);
+            const base = segments.slice(0, firstWildcard).join('/') || '.';
+            const matcher = globToRegExp(normalised.replace(/^\.\//, ''));
+            const matches = fs.existsSync(base)
+                ? walk(base).filter(file => matcher.test(file.split(path.sep).join('/').replace(/^\.\//, '')))
+                : [];
+            if (matches.length === 0) {
+                throw usageError(`No files match ${arg}`);
+            }
+            files.push(...matches.sort());
+        } else if (!fs.existsSync(arg)) {
+            throw usageError(`File not found: ${arg}`);
+        } else if (fs.statSync(arg).isDirectory()) {
+            files.push(...walk(arg).filter(isResumeFile).sort());
+        } else {
+            files.push(arg);
+        }
+    });
+    return Array.from(new Set(files));
+}
+
+// Uploads as the API's multer would hand them over; ZIP archives are unpacked like batch uploads
+function loadFiles(paths) {
+    return expandUploads(paths.map(filePath => ({
+        originalname: path.basename(filePath),
+        mimetype: 'application/octet-stream',
+        buffer: fs.readFileSync(filePath)
+    })));
+}
+
+// The same field names the API takes as form fields
+function toPipelineOptions(values) {
+    return {
+        template: values.template,
+        format: values.format,
+        provider: values.provider,
+        model: values.model,
+        extractor: values.extractor,
+        jobDescription: values['job-description'] ? fs.readFileSync(values['job-description'], 'utf-8') : undefined,
+        targetLanguage: values['target-language'],
+        layout: values.layout ? fs.readFileSync(values.layout, 'utf-8') : undefined,
+        mode: values.anonymize ? 'anonymized' : 'standard',
+        acknowledgeFlags: values['acknowledge-flags'],
+        strict: values.strict,
+        cache: values['no-cache'] ? false : undefined,
+        fallback: values['no-fallback'] ? false : undefined
+    };
+}
+
+// Several resumes can share a file name (e.g. inside different ZIP archives)
+function uniqueName(name, used) {
+    let candidate = name;
+    for (let count = 2; used.has(candidate); count++) {
+        const extension = name.match(/(\.resume|\.translation)?\.[^.]+$/)[0];
+        candidate = `${name.slice(0, -extension.length)}_${count}${extension}`;
+    }
+    used.add(candidate);
+    return candidate;
+}
+
+async function convertFile(file, options, extractor, template, values, writeOutput) {
+    const extractOnly = values['extract-only'];
+    const outputs = [];
+
+    if (extractOnly) {
+        const extraction = await runExtraction(file, options, extractor, { kind: 'cli' });
+        outputs.push(writeOutput(outputFileName(file.originalname, { extension: 'resume.json' }),
+            JSON.stringify(finalResume(extraction), null, 2)));
+        writeTranslation(file.originalname, extraction.translated, outputs, writeOutput);
+        return { ...extraction, outputs };
+    }
+
+    const conversion = await runConversion(file, options, extractor, template, { kind: 'cli' });
+    const { document, anonymization } = conversion;
+    const baseName = anonymization ? anonymization.reference : file.originalname;
+    outputs.push(writeOutput(outputFileName(baseName, document.format), document.buffer));
+
+    if (values.json) {
+        const resume = anonymization ? anonymization.resume : finalResume(conversion);
+        outputs.push(writeOutput(outputFileName(baseName, { extension: 'resume.json' }), JSON.stringify(resume, null, 2)));
+        // The side-by-side view would undo an anonymized resume, so it is only written for standard output
+        if (!anonymization) {
+            writeTranslation(baseName, conversion.translated, outputs, writeOutput);
+        }
+    }
+    return { ...conversion, outputs };
+}
+
+// Original and translated text side by side, for review before the document goes out
+function writeTranslation(name, translated, outputs, writeOutput) {
+    if (translated) {
+        outputs.push(writeOutput(outputFileName(name, { extension: 'translation.json' }), JSON.stringify(translated.translation, null, 2)));
+    }
+}
+
+function describeResult(file, { outputs, fidelity, extractedWith, translated }) {
+    const notes = [extractedWith.type + (extractedWith.cached ? ', cached' : '')];
+    if (translated) {
+        const { language, warnings } = translated.translation;
+        notes.push(`translated to ${language}${warnings.length > 0 ? ` with ${warnings.length} warning(s)` : ''}`);
+    }
+    if (fidelity.flags.length > 0) {
+        notes.push(`${fidelity.flags.length} fidelity flag(s)`);
+    }
+    if (extractedWith.warnings && extractedWith.warnings.length > 0) {
+        notes.push(`${extractedWith.warnings.length} warning(s)`);
+    }
+    return `✔ ${file.originalname} -> ${outputs.join(', ')} (${notes.join(', ')})`;
+}
+
+function describeFailure(file, error) {
+    const details = (error.details || []).map(detail => `\n    ${detail.path || 'resume'}: ${detail.message}`).join('');
+    return `✘ ${file.originalname}: ${error.message}${details}`;
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length === 0) {
+        throw usageError('No input files given');
+    }
+
+    const concurrency = values.concurrency === undefined ? getBatchConcurrency() : parseInt(values.concurrency, 10);
+    if (!(concurrency > 0)) {
+        throw usageError('--concurrency must be a whole number of 1 or more');
+    }
+
+    // Invalid templates, formats and provider settings fail before any file is read
+    const options = toPipelineOptions(values);
+    let template;
+    let extractor;
+    try {
+        template = getTemplate(options.template);
+        getFormat(options.format, options.targetLanguage);
+        resolveLayoutOptions(options.layout);
+        extractor = resolveExtractor(options);
+    } catch (error) {
+        throw usageError(error.message);
+    }
+
+    const files = loadFiles(resolveInputs(positionals));
+    if (files.length === 0) {
+        throw usageError('No resumes found in the given inputs');
+    }
+
+    const outDir = values['out-dir'];
+    fs.mkdirSync(outDir, { recursive: true });
+    const used = new Set();
+    const writeOutput = (name, contents) => {
+        const outputPath = path.join(outDir, uniqueName(name, used));
+        fs.writeFileSync(outputPath, contents);
+        return outputPath;
+    };
+
+    // The pipeline logs each step for the server console; keep the CLI's output to one line per file
+    setQuiet(!values.verbose);
+
+    const results = await mapWithConcurrency(files, concurrency, async (file) => {
+        try {
+            const result = await convertFile(file, options, extractor, template, values, writeOutput);
+            process.stdout.write(`${describeResult(file, result)}\n`);
+            return true;
+        } catch (error) {
+            process.stderr.write(`${describeFailure(file, error)}\n`);
+            return false;
+        }
+    });
+
+    const converted = results.filter(Boolean).length;
+    process.stderr.write(`${converted} of ${files.length} resume(s) converted\n`);
+    return converted === files.length ? 0 : 1;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        process.stderr.write(`resume-convert: ${error.message}\n`);
+        if (error.exitCode === 2) {
+            process.stderr.write('Run resume-convert --help for usage\n');
+        }
+        process.exitCode = error.exitCode || 1;
+    });
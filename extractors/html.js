@@ -0,0 +1,63 @@
+// HTML to plain text - keeps the block structure so headings and list items stay on their own lines
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' ',
+    ndash: '–',
+    mdash: '—',
+    bull: '•',
+    middot: '·',
+    hellip: '…',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+    copy: '©',
+    reg: '®',
+    trade: '™'
+};
+
+// Numeric references outside Unicode, or to lone surrogates, are left as written
+function isValidCodePoint(code) {
+    return code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return isValidCodePoint(code) ? String.fromCodePoint(code) : entity;
+        }
+        const value = NAMED_ENTITIES[name.toLowerCase()];
+        return value === undefined ? entity : value;
+    });
+}
+
+const BLOCK_TAGS = 'p|div|section|article|header|footer|main|aside|h[1-6]|ul|ol|table|tr|blockquote|pre|address|dl|dt|dd';
+
+function htmlToText(html) {
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<br\b[^>]*>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n• ')
+        .replace(/<\/t[dh]\s*>/gi, '\t')
+        .replace(new RegExp(`</?(?:${BLOCK_TAGS}|li)\\b[^>]*>`, 'gi'), '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    htmlToText,
+    decodeEntities
+};
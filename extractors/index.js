@@ -0,0 +1,197 @@
+// Upload readers - detect what a file really is from its content, then pull out
+// plain text (or, for JSON, structured resume data that needs no LLM)
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const PizZip = require('pizzip');
+const { rtfToText } = require('./rtf');
+const { odtToText } = require('./odt');
+const { htmlToText } = require('./html');
+const { importResumeJson } = require('./json');
+
+// Resume extensions accepted in uploads and inside batch ZIPs
+const EXTENSIONS = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.doc': 'doc',
+    '.rtf': 'rtf',
+    '.odt': 'odt',
+    '.html': 'html',
+    '.htm': 'html',
+    '.json': 'json',
+    '.txt': 'text',
+    '.zip': 'zip'
+};
+
+const MIME_TYPES = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/msword': 'doc',
+    'application/rtf': 'rtf',
+    'text/rtf': 'rtf',
+    'application/vnd.oasis.opendocument.text': 'odt',
+    'text/html': 'html',
+    'application/json': 'json',
+    'text/plain': 'text',
+    'application/zip': 'zip',
+    'application/x-zip-compressed': 'zip'
+};
+
+const RESUME_EXTENSIONS = Object.keys(EXTENSIONS).filter(ext => EXTENSIONS[ext] !== 'zip');
+
+// A text layer this thin means the PDF is a scan (or an image export) with nothing to read
+const MIN_PDF_CHARACTERS_PER_PAGE = 40;
+
+function startsWith(buffer, signature) {
+    return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+}
+
+// ZIP containers: Word keeps word/document.xml, OpenDocument names itself in the mimetype entry
+function detectZipType(buffer) {
+    try {
+        const zip = new PizZip(buffer);
+        if (zip.file('word/document.xml')) {
+            return 'docx';
+        }
+        const mimetype = zip.file('mimetype');
+        if (mimetype && mimetype.asText().trim() === 'application/vnd.oasis.opendocument.text') {
+            return 'odt';
+        }
+    } catch (e) {
+        return null;
+    }
+    return 'zip';
+}
+
+function parsesAsJson(buffer) {
+    try {
+        JSON.parse(buffer.toString('utf-8').replace(/^\ufeff/, ''));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// A leading "{" or "[" only means JSON for .json files (which then must parse) and files
+// with no known extension that do parse - a .txt resume may well open with "[Photo]"
+function sniffText(buffer, extensionType) {
+    const head = buffer.subarray(0, 1024).toString('utf-8').replace(/^\ufeff/, '').trimStart();
+    if (/^[{[]/.test(head) && (extensionType === 'json' || (!extensionType && parsesAsJson(buffer)))) {
+        return 'json';
+    }
+    if (/^(?:<\?xml[^>]*>\s*)?(?:<!doctype html|<html|<head|<body)/i.test(head)) {
+        return 'html';
+    }
+    return null;
+}
+
+function looksLikeText(buffer) {
+    return !buffer.subarray(0, 4096).includes(0);
+}
+
+// File type from magic bytes first, then the extension, then the declared mimetype.
+// Browsers often send application/octet-stream, and extensions are easily wrong
+function detectFileType(file) {
+    const buffer = file.buffer;
+
+    if (startsWith(buffer, Buffer.from('%PDF'))) {
+        return 'pdf';
+    }
+    if (startsWith(buffer, Buffer.from('D0CF11E0A1B11AE1', 'hex'))) {
+        return 'doc';
+    }
+    if (startsWith(buffer, Buffer.from('{\\rtf'))) {
+        return 'rtf';
+    }
+    if (startsWith(buffer, Buffer.from('PK\x03\x04', 'binary'))) {
+        return detectZipType(buffer) || 'unknown';
+    }
+
+    const extensionType = EXTENSIONS[path.extname(file.originalname || '').toLowerCase()];
+    const sniffed = sniffText(buffer, extensionType);
+    if (sniffed) {
+        return sniffed;
+    }
+
+    const declared = extensionType || MIME_TYPES[file.mimetype];
+    if (declared && !['pdf', 'doc', 'docx', 'odt', 'rtf', 'zip'].includes(declared)) {
+        return declared;
+    }
+    return looksLikeText(buffer) ? 'text' : 'unknown';
+}
+
+function unsupportedError(file) {
+    const error = new Error(`Unsupported file type: ${file.originalname}. Upload a PDF, Word (.docx or .doc), RTF, ODT, HTML, JSON or plain text resume`);
+    error.status = 400;
+    error.code = 'unsupported_file_type';
+    return error;
+}
+
+async function readPdf(buffer) {
+    // pdf.js ignores a Buffer's byteOffset, so small pooled Buffers must be copied out first
+    const pdfData = await pdfParse(new Uint8Array(buffer));
+    const characters = pdfData.text.replace(/\s/g, '').length;
+
+    if (characters < MIN_PDF_CHARACTERS_PER_PAGE * Math.max(pdfData.numpages, 1)) {
+        const error = new Error('This PDF has little or no selectable text - it looks like a scanned image. ' +
+            'Run it through OCR (for example "Make searchable" in Acrobat or ocrmypdf) or upload the original Word or text version of the resume');
+        error.status = 422;
+        error.code = 'scanned_pdf';
+        throw error;
+    }
+    return pdfData.text;
+}
+
+const readers = {
+    pdf: (buffer) => readPdf(buffer),
+    docx: async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+    doc: async (buffer) => (await new WordExtractor().extract(buffer)).getBody(),
+    rtf: (buffer) => rtfToText(buffer.toString('latin1')),
+    odt: (buffer) => odtToText(buffer),
+    html: (buffer) => htmlToText(buffer.toString('utf-8')),
+    text: (buffer) => buffer.toString('utf-8').replace(/^\ufeff/, '')
+};
+
+// Read an uploaded resume. Returns { type, text } for documents, and for JSON uploads
+// also { imported: { resume, schema, warnings } } so the caller can skip structuring
+async function readResumeFile(file) {
+    const type = detectFileType(file);
+
+    if (type === 'json') {
+        const { text, ...imported } = importResumeJson(file.buffer);
+        return { type, text, imported };
+    }
+
+    const reader = readers[type];
+    if (!reader) {
+        throw unsupportedError(file);
+    }
+
+    let text;
+    try {
+        text = await reader(file.buffer);
+    } catch (e) {
+        if (e.status) {
+            throw e;
+        }
+        const error = new Error(`Could not read ${file.originalname} as ${type.toUpperCase()}: ${e.message}`);
+        error.status = 422;
+        throw error;
+    }
+
+    if (!text || !text.trim()) {
+        const error = new Error(`No text could be extracted from ${file.originalname}`);
+        error.status = 422;
+        error.code = 'empty_document';
+        throw error;
+    }
+
+    return { type, text };
+}
+
+module.exports = {
+    RESUME_EXTENSIONS,
+    detectFileType,
+    readResumeFile
+};
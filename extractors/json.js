@@ -0,0 +1,58 @@
+// Structured imports - a JSON Resume document or our own resume JSON, used as-is without an LLM
+const { validateResume, createValidationError } = require('../schema/resume');
+const { fromJsonResume } = require('../renderers/json-resume');
+
+function isJsonResume(json) {
+    return Boolean(json.basics || json.work) ||
+        /jsonresume/i.test(json.$schema || '');
+}
+
+// Every string value, one per line - the "source text" imported data is checked against
+function flattenText(value) {
+    if (Array.isArray(value)) {
+        return value.map(flattenText).filter(Boolean).join('\n');
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).map(flattenText).filter(Boolean).join('\n');
+    }
+    return typeof value === 'string' ? value : '';
+}
+
+// Parse an uploaded .json file into validated resume data plus the schema it came in
+function importResumeJson(buffer) {
+    let json;
+    try {
+        json = JSON.parse(buffer.toString('utf-8').replace(/^\ufeff/, ''));
+    } catch (e) {
+        const error = new Error(`The uploaded JSON could not be parsed: ${e.message}`);
+        error.status = 400;
+        throw error;
+    }
+
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        const error = new Error('The uploaded JSON must be a JSON Resume document or resume data object');
+        error.status = 422;
+        throw error;
+    }
+
+    const jsonResume = isJsonResume(json);
+    const { resume, warnings } = jsonResume ? fromJsonResume(json) : { resume: json, warnings: [] };
+
+    const { resume: resumeData, errors } = validateResume(resume);
+    if (errors.length > 0) {
+        throw createValidationError(errors, jsonResume
+            ? 'The JSON Resume document is missing required details'
+            : 'The uploaded resume JSON failed validation');
+    }
+
+    return {
+        resume: resumeData,
+        schema: jsonResume ? 'json-resume' : 'resume',
+        warnings,
+        text: flattenText(resumeData)
+    };
+}
+
+module.exports = {
+    importResumeJson
+};
@@ -0,0 +1,59 @@
+// OpenDocument text (.odt) - the body lives in content.xml inside the ZIP container
+const PizZip = require('pizzip');
+const { decodeEntities } = require('./html');
+const { declaredSize, readEntry } = require('./zip');
+
+// Runs of spaces wider than this are layout, not content
+const MAX_SPACES = 100;
+
+// content.xml is unpacked in memory; a resume's text is nowhere near this
+const MAX_CONTENT_BYTES = 20 * 1024 * 1024;
+
+function unreadable(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function readContent(entry) {
+    if (declaredSize(entry) > MAX_CONTENT_BYTES) {
+        throw unreadable(`The OpenDocument content is larger than ${MAX_CONTENT_BYTES / (1024 * 1024)}MB unpacked`, 400);
+    }
+    try {
+        return readEntry(entry).toString('utf8');
+    } catch (e) {
+        throw unreadable('The OpenDocument content could not be unpacked', 400);
+    }
+}
+
+function odtToText(buffer) {
+    const entry = new PizZip(buffer).file('content.xml');
+    if (!entry) {
+        throw unreadable('The OpenDocument file has no content.xml', 422);
+    }
+
+    const body = readContent(entry)
+        .replace(/<office:(automatic-styles|font-face-decls|scripts)\b[\s\S]*?<\/office:\1>/g, '')
+        .replace(/<text:s\b([^>]*)\/>/g, (tag, attributes) => {
+            const count = attributes.match(/text:c="(\d+)"/);
+            return ' '.repeat(count ? Math.min(parseInt(count[1], 10), MAX_SPACES) : 1);
+        })
+        .replace(/<text:tab\b[^>]*\/>/g, '\t')
+        .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+        .replace(/<text:list-item\b[^>]*>\s*<text:(p|h)\b/g, '<text:$1 data-bullet="1"')
+        .replace(/<text:(?:p|h)\b[^>]*data-bullet="1"[^>]*>/g, '\n• ')
+        .replace(/<\/?text:(?:p|h)\b[^>]*>/g, '\n')
+        .replace(/<table:table-cell\b[^>]*>/g, '\t')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(body)
+        .split('\n')
+        .map(line => line.replace(/[ \t]+$/, '').replace(/^\t+/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    odtToText
+};
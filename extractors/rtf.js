@@ -0,0 +1,155 @@
+// RTF to plain text - enough of the format to read resumes saved from Word and WordPad
+
+// Destinations whose content is never body text
+const SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+    'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable',
+    'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'datastore', 'latentstyles'
+]);
+
+const CONTROL_TEXT = {
+    par: '\n',
+    line: '\n',
+    sect: '\n',
+    page: '\n',
+    row: '\n',
+    tab: '\t',
+    cell: '\t',
+    emdash: '—',
+    endash: '–',
+    bullet: '•',
+    lquote: '‘',
+    rquote: '’',
+    ldblquote: '“',
+    rdblquote: '”',
+    emspace: ' ',
+    enspace: ' '
+};
+
+// Windows-1252 code points that differ from Latin-1 in the 0x80-0x9F range
+const CP1252 = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+    0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘',
+    0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+    0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+function decodeByte(code) {
+    return CP1252[code] || String.fromCharCode(code);
+}
+
+function rtfToText(source) {
+    const output = [];
+    // Each group remembers whether it is skipped and how many characters follow a \u escape
+    let state = { skip: false, unicodeSkip: 1 };
+    const stack = [];
+    let pendingSkip = 0;
+    let i = 0;
+
+    const emit = (text) => {
+        if (!state.skip) {
+            output.push(text);
+        }
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '{') {
+            stack.push(state);
+            state = { ...state };
+            i++;
+            continue;
+        }
+        if (char === '}') {
+            state = stack.pop() || state;
+            i++;
+            continue;
+        }
+        if (char === '\r' || char === '\n') {
+            i++;
+            continue;
+        }
+        if (char !== '\\') {
+            if (pendingSkip > 0) {
+                pendingSkip--;
+            } else {
+                emit(char);
+            }
+            i++;
+            continue;
+        }
+
+        // Control symbols: \\ \{ \} \~ \- \_ \' \*
+        const next = source[i + 1];
+        if (next === '\\' || next === '{' || next === '}') {
+            emit(next);
+            i += 2;
+            continue;
+        }
+        if (next === '~') {
+            emit(' ');
+            i += 2;
+            continue;
+        }
+        if (next === '_' || next === '-') {
+            emit(next === '_' ? '-' : '');
+            i += 2;
+            continue;
+        }
+        if (next === '*') {
+            // Optional destination the reader does not understand
+            state.skip = true;
+            i += 2;
+            continue;
+        }
+        if (next === '\'') {
+            const code = parseInt(source.substr(i + 2, 2), 16);
+            if (pendingSkip > 0) {
+                pendingSkip--;
+            } else if (!Number.isNaN(code)) {
+                emit(decodeByte(code));
+            }
+            i += 4;
+            continue;
+        }
+        if (next === '\r' || next === '\n') {
+            emit('\n');
+            i += 2;
+            continue;
+        }
+
+        // Control word: \word with an optional numeric parameter and one delimiting space
+        const match = /^\\([a-z]{1,32})(-?\d{1,10})? ?/i.exec(source.slice(i, i + 48));
+        if (!match) {
+            i += 2;
+            continue;
+        }
+        i += match[0].length;
+        const [, word, param] = match;
+
+        if (SKIPPED_DESTINATIONS.has(word)) {
+            state.skip = true;
+        } else if (word === 'uc') {
+            state.unicodeSkip = parseInt(param, 10) || 0;
+        } else if (word === 'u') {
+            let code = parseInt(param, 10);
+            if (code < 0) {
+                code += 65536;
+            }
+            emit(String.fromCharCode(code));
+            pendingSkip = state.unicodeSkip;
+        } else if (CONTROL_TEXT[word]) {
+            emit(CONTROL_TEXT[word]);
+        }
+    }
+
+    return output.join('')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    rtfToText
+};
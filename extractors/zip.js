@@ -0,0 +1,24 @@
+// Bounded reads from ZIP containers - uploaded batches and OpenDocument files
+const zlib = require('zlib');
+
+const DEFLATE = '\x08\x00';
+
+// The unpacked size an entry's header declares
+function declaredSize(entry) {
+    return entry._data.uncompressedSize;
+}
+
+// Inflate one entry to no more than the size its header declares - a header that
+// understates the size fails here instead of filling memory
+function readEntry(entry) {
+    const data = entry._data;
+    if (data.compressionMethod !== DEFLATE) {
+        return entry.asNodeBuffer();
+    }
+    return zlib.inflateRawSync(Buffer.from(data.getCompressedContent()), { maxOutputLength: Math.max(data.uncompressedSize, 1) });
+}
+
+module.exports = {
+    declaredSize,
+    readEntry
+};
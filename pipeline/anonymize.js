@@ -0,0 +1,167 @@
+// Blind-resume mode - swaps the candidate's identity for a reference code and
+// masks identifiers in free text. The code-to-candidate mapping stays on the server.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAPPING_DIR = process.env.ANONYMIZATION_DIR || path.join(__dirname, '..', 'data', 'anonymization');
+const REFERENCE_PATTERN = /^[A-Z0-9]+-[A-F0-9]{8}$/;
+
+// Organisations override any of these through a JSON file named by ANONYMIZATION_CONFIG
+const DEFAULT_POLICY = {
+    referencePrefix: 'CAND',
+    // Fields cleared outright; "name" is replaced by the reference code. Profile links and
+    // referees point straight back to the candidate
+    fields: ['name', 'phone', 'email', 'location', 'links.url', 'references.name', 'references.contact', 'personal.nationality', 'personal.visaStatus'],
+    // Free text scanned for identifiers
+    freeText: ['summary', 'experience.responsibilities', 'projects.description', 'projects.highlights', 'volunteering.highlights', 'references.note', 'personal.other'],
+    mask: {
+        emails: true,
+        phones: true,
+        urls: true,
+        name: true,
+        // Values of the cleared fields (e.g. the nationality) wherever they appear
+        fieldValues: true
+    }
+};
+
+const EMAIL_PATTERN = /[^\s@()<>]+@[^\s@()<>]+\.[a-z]{2,}/gi;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s)\]>]+|\b(?:linkedin\.com|github\.com)\/[^\s)\]>]+/gi;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{6,}\d/g;
+
+let cachedPolicy = null;
+
+function loadPolicy() {
+    if (cachedPolicy) {
+        return cachedPolicy;
+    }
+
+    let overrides = {};
+    if (process.env.ANONYMIZATION_CONFIG) {
+        overrides = JSON.parse(fs.readFileSync(process.env.ANONYMIZATION_CONFIG, 'utf-8'));
+    }
+
+    cachedPolicy = {
+        ...DEFAULT_POLICY,
+        ...overrides,
+        mask: { ...DEFAULT_POLICY.mask, ...overrides.mask }
+    };
+    return cachedPolicy;
+}
+
+// Visit every value at a dotted path, descending into arrays ("experience.responsibilities")
+function visitPath(target, keys, visit) {
+    if (target === null || typeof target !== 'object') {
+        return;
+    }
+    if (Array.isArray(target)) {
+        target.forEach(item => visitPath(item, keys, visit));
+        return;
+    }
+
+    const [key, ...rest] = keys;
+    if (rest.length === 0) {
+        visit(target, key);
+    } else {
+        visitPath(target[key], rest, visit);
+    }
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The value as a whole word in any script - \b only knows ASCII letters, so it never
+// matches at the edge of "Álvarez" or an Arabic name
+function wholeWord(value) {
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+}
+
+function buildMasker(policy, removedValues, name, reference) {
+    const replacements = [];
+
+    if (policy.mask.emails) {
+        replacements.push([EMAIL_PATTERN, '[email removed]']);
+    }
+    if (policy.mask.urls) {
+        replacements.push([URL_PATTERN, '[link removed]']);
+    }
+    if (policy.mask.phones) {
+        // Only digit runs long enough to be a phone number, so years and figures survive
+        replacements.push([PHONE_PATTERN, (match) => (match.replace(/\D/g, '').length >= 8 ? '[phone removed]' : match)]);
+    }
+    if (policy.mask.name && name) {
+        const parts = [name, ...name.split(/\s+/).filter(part => part.length >= 3)];
+        parts.forEach(part => {
+            replacements.push([wholeWord(part), reference]);
+        });
+    }
+    if (policy.mask.fieldValues) {
+        removedValues
+            .filter(value => value.length >= 3)
+            .forEach(value => replacements.push([wholeWord(value), '[removed]']));
+    }
+
+    return (text) => replacements.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Returns an anonymized copy of the resume plus the mapping needed to re-identify it
+function anonymizeResume(resume, policy = loadPolicy()) {
+    const reference = `${policy.referencePrefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const result = JSON.parse(JSON.stringify(resume));
+    const original = {};
+    const removedValues = [];
+
+    policy.fields.forEach(field => {
+        visitPath(result, field.split('.'), (target, key) => {
+            const value = target[key];
+            if (typeof value === 'string' && value) {
+                original[field] = original[field] ? [].concat(original[field], value) : value;
+                if (field !== 'name') {
+                    // "Dubai, United Arab Emirates" also masks "Dubai" on its own
+                    removedValues.push(value, ...value.split(',').map(part => part.trim()));
+                }
+            }
+            target[key] = field === 'name' ? reference : '';
+        });
+    });
+
+    const mask = buildMasker(policy, removedValues, resume.name, reference);
+    policy.freeText.forEach(field => {
+        visitPath(result, field.split('.'), (target, key) => {
+            const value = target[key];
+            if (typeof value === 'string') {
+                target[key] = mask(value);
+            } else if (Array.isArray(value)) {
+                target[key] = value.map(item => (typeof item === 'string' ? mask(item) : item));
+            }
+        });
+    });
+
+    return { resume: result, reference, original };
+}
+
+// Persist the reference-to-candidate mapping; it is never sent back with the document
+function saveMapping(reference, original, fileName) {
+    fs.mkdirSync(MAPPING_DIR, { recursive: true });
+    fs.writeFileSync(path.join(MAPPING_DIR, `${reference}.json`), JSON.stringify({
+        reference,
+        fileName,
+        createdAt: new Date().toISOString(),
+        candidate: original
+    }, null, 2));
+}
+
+function getMapping(reference) {
+    if (!REFERENCE_PATTERN.test(reference)) {
+        return null;
+    }
+    const mappingPath = path.join(MAPPING_DIR, `${reference}.json`);
+    return fs.existsSync(mappingPath) ? JSON.parse(fs.readFileSync(mappingPath, 'utf-8')) : null;
+}
+
+module.exports = {
+    anonymizeResume,
+    saveMapping,
+    getMapping
+};
@@ -0,0 +1,167 @@
+// Batch conversion helpers - ZIP expansion, bounded concurrency and the result archive
+const path = require('path');
+const PizZip = require('pizzip');
+const { RESUME_EXTENSIONS, detectFileType } = require('../extractors');
+const { declaredSize, readEntry } = require('../extractors/zip');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_BATCH_FILES = 100;
+
+// Unpacked size limits, so a small ZIP cannot expand into more than the server can hold.
+// Single resumes match the upload limit
+const MAX_ENTRY_BYTES = 10 * 1024 * 1024;
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+
+// ZIP archives are recognised by content; a .zip name that fails to open is still reported as a bad archive
+function isZip(file) {
+    return detectFileType(file) === 'zip' || /\.zip$/i.test(file.originalname);
+}
+
+function badArchive(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function tooManyFiles() {
+    return badArchive(`A batch can contain at most ${MAX_BATCH_FILES} resumes`);
+}
+
+function unpackEntry(entry, archiveName) {
+    try {
+        return readEntry(entry);
+    } catch (e) {
+        throw badArchive(`${entry.name} in ${archiveName} could not be unpacked`);
+    }
+}
+
+// Flatten uploaded files and ZIP archives into one list of resume files. Entry counts and
+// declared sizes are checked before anything is unpacked
+function expandUploads(files) {
+    const resumes = [];
+    let unpackedBytes = 0;
+
+    files.forEach(file => {
+        if (!isZip(file)) {
+            resumes.push(file);
+            return;
+        }
+
+        let zip;
+        try {
+            zip = new PizZip(file.buffer);
+        } catch (e) {
+            throw badArchive(`${file.originalname} is not a valid ZIP archive`);
+        }
+
+        // Entries are typed by content when converted, so only the extension is checked here
+        const entries = Object.values(zip.files)
+            .filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/') && !path.basename(entry.name).startsWith('.'))
+            .filter(entry => RESUME_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()));
+
+        if (resumes.length + entries.length > MAX_BATCH_FILES) {
+            throw tooManyFiles();
+        }
+        entries.forEach(entry => {
+            const size = declaredSize(entry);
+            if (size > MAX_ENTRY_BYTES) {
+                throw badArchive(`${entry.name} in ${file.originalname} is larger than ${MAX_ENTRY_BYTES / (1024 * 1024)}MB unpacked`);
+            }
+            unpackedBytes += size;
+            if (unpackedBytes > MAX_ARCHIVE_BYTES) {
+                throw badArchive(`The batch is larger than ${MAX_ARCHIVE_BYTES / (1024 * 1024)}MB unpacked`);
+            }
+        });
+
+        entries.forEach(entry => {
+            resumes.push({
+                originalname: path.basename(entry.name),
+                mimetype: 'application/octet-stream',
+                buffer: unpackEntry(entry, file.originalname)
+            });
+        });
+    });
+
+    if (resumes.length > MAX_BATCH_FILES) {
+        throw tooManyFiles();
+    }
+
+    return resumes;
+}
+
+// Run fn over items with at most `limit` in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+function getBatchConcurrency() {
+    return parseInt(process.env.BATCH_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+}
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function manifestToCsv(manifest) {
+    const columns = ['file', 'status', 'output', 'fidelityFlags', 'coverage', 'durationMs', 'error'];
+    // Anonymized batches identify converted entries by candidate reference
+    if (manifest.some(entry => entry.reference)) {
+        columns.splice(1, 0, 'reference');
+    }
+    const rows = manifest.map(entry => columns.map(column => csvCell(entry[column])).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// Output names stay unique even when two uploads share a file name
+function uniqueName(name, used) {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let candidate = name;
+    for (let i = 2; used.has(candidate); i++) {
+        candidate = `${base}-${i}${ext}`;
+    }
+    used.add(candidate);
+    return candidate;
+}
+
+// ZIP of every converted document plus JSON and CSV manifests
+function buildBatchArchive(results) {
+    const zip = new PizZip();
+    const used = new Set(['manifest.json', 'manifest.csv']);
+
+    const manifest = results.map(result => {
+        const entry = { ...result.entry };
+        if (result.document) {
+            entry.output = uniqueName(result.outputName, used);
+            zip.file(entry.output, result.document);
+        }
+        return entry;
+    });
+
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    zip.file('manifest.csv', manifestToCsv(manifest));
+
+    return {
+        manifest,
+        archive: zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' })
+    };
+}
+
+module.exports = {
+    expandUploads,
+    mapWithConcurrency,
+    getBatchConcurrency,
+    buildBatchArchive
+};
@@ -0,0 +1,263 @@
+// Long resumes - split the text at section and role boundaries so each part fits the
+// model's limits, then merge the per-part results back into one resume
+const { detectHeading, isBullet, DATE_RANGE } = require('./heuristic');
+
+// Rough 4-characters-per-token estimate, the same one the mock provider reports
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_MAX_INPUT_TOKENS = 12000;
+// Resume JSON runs longer than the text it came from, and the prompt adds a fixed overhead
+const OUTPUT_RATIO = 1.3;
+const OUTPUT_OVERHEAD_TOKENS = 300;
+const PROMPT_TOKENS = 600;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+// Largest piece of resume text (in characters) whose prompt and answer both fit
+function chunkBudget(llm) {
+    const maxInput = (parseInt(process.env.LLM_MAX_INPUT_TOKENS, 10) || DEFAULT_MAX_INPUT_TOKENS) - PROMPT_TOKENS;
+    const maxOutput = (llm.maxTokens - OUTPUT_OVERHEAD_TOKENS) / OUTPUT_RATIO;
+    return Math.max(Math.floor(Math.min(maxInput, maxOutput)), 250) * CHARS_PER_TOKEN;
+}
+
+// Units that must stay together: the lines under a heading, with experience broken into
+// one unit per role (same boundary rule as the heuristic parser)
+function splitUnits(lines) {
+    const header = [];
+    const units = [];
+    let heading = null;
+    let section = null;
+    let current = null;
+    let inBullets = false;
+
+    const startUnit = () => {
+        current = { heading, lines: [] };
+        units.push(current);
+        inBullets = false;
+    };
+
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        // Parts being split again carry "HEADING (continued)" lines
+        const found = trimmed ? detectHeading(trimmed.replace(/\s*\(continued\)$/i, '')) : null;
+        if (found) {
+            section = found;
+            heading = line;
+            startUnit();
+            current.lines.push(line);
+            return;
+        }
+        if (!current) {
+            header.push(line);
+            return;
+        }
+
+        if (['experience', 'projects', 'volunteering'].includes(section) && trimmed) {
+            const bullet = isBullet(trimmed) || trimmed.length > 90 || (inBullets && /^[a-z(]/.test(trimmed));
+            const nextRole = !bullet && (inBullets ||
+                (DATE_RANGE.test(trimmed) && current.lines.some(previous => previous !== heading && DATE_RANGE.test(previous))));
+            if (nextRole) {
+                startUnit();
+            }
+            inBullets = bullet;
+        }
+        current.lines.push(line);
+    });
+
+    return { header, units };
+}
+
+// A unit too big for one part is cut at blank lines, then at single lines
+function splitOversized(lines, budget) {
+    const pieces = [];
+    let piece = [];
+    let size = 0;
+
+    lines.forEach(line => {
+        if (size + line.length + 1 > budget && piece.length > 0) {
+            pieces.push(piece);
+            piece = [];
+            size = 0;
+        }
+        piece.push(line);
+        size += line.length + 1;
+    });
+    if (piece.length > 0) {
+        pieces.push(piece);
+    }
+    return pieces;
+}
+
+// Resume text in parts of at most `budget` characters. Every part repeats the header
+// (name and contact lines) and the heading of the section it continues, so the model
+// always knows whose resume and which section it is reading
+function splitResumeText(text, budget) {
+    if (text.length <= budget) {
+        return [text];
+    }
+
+    const { header, units } = splitUnits(text.split(/\r?\n/));
+    const headerText = header.join('\n').trim();
+    const available = Math.max(budget - headerText.length - 60, 200);
+
+    const chunks = [];
+    let lines = [];
+    let size = 0;
+
+    const flush = () => {
+        if (lines.some(line => line.trim())) {
+            chunks.push([headerText, ...lines].join('\n').trim());
+        }
+        lines = [];
+        size = 0;
+    };
+
+    units.forEach(unit => {
+        splitOversized(unit.lines, available).forEach(piece => {
+            const pieceSize = piece.join('\n').length + 1;
+            if (size + pieceSize > available) {
+                flush();
+            }
+            if (lines.length === 0 && piece[0] !== unit.heading) {
+                lines.push(`${unit.heading.trim()} (continued)`);
+            }
+            lines.push(...piece);
+            size += pieceSize;
+        });
+    });
+    flush();
+
+    return chunks.length > 0 ? chunks : [text];
+}
+
+// Letters and digits in any script, so Arabic or Chinese text keeps a comparable key
+function normalise(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Case-insensitive union that keeps the first spelling of each item. Items with no letters
+// or digits to compare are kept as they are rather than folded into one another
+function unionList(...lists) {
+    const seen = new Set();
+    return lists.flat().filter(item => {
+        if (!item || !String(item).trim()) {
+            return false;
+        }
+        const key = normalise(item);
+        if (!key) {
+            return true;
+        }
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+function unionCommaList(...values) {
+    return unionList(...values.map(value => (value || '').split(/\s*,\s*/))).join(', ');
+}
+
+// The same role or degree seen in two parts: matching key fields, where a blank field matches anything
+function sameEntry(a, b, fields) {
+    const key = normalise(a[fields[0]]);
+    return key !== '' && key === normalise(b[fields[0]]) &&
+        fields.every(field => !a[field] || !b[field] || normalise(a[field]) === normalise(b[field]));
+}
+
+// Only entries from different parts are folded - two matching entries within one part are
+// genuinely separate (the same job title held twice at one company, say)
+function mergeEntries(lists, fields, combine) {
+    const merged = [];
+    const sources = [];
+    lists.forEach((list, part) => list.forEach(entry => {
+        const index = merged.findIndex((candidate, i) => sources[i] !== part && sameEntry(candidate, entry, fields));
+        if (index >= 0) {
+            Object.assign(merged[index], combine(merged[index], entry));
+        } else {
+            merged.push({ ...entry });
+            sources.push(part);
+        }
+    }));
+    return merged;
+}
+
+function firstValue(parts, pick) {
+    return parts.map(pick).find(value => value && value.length > 0) || '';
+}
+
+// Combine per-part extractions in part order. Scalars take the first non-empty value,
+// lists are concatenated, and entries repeated across parts are folded together
+function mergeResumes(parts) {
+    if (parts.length === 1) {
+        return parts[0];
+    }
+
+    return {
+        name: firstValue(parts, part => part.name),
+        location: firstValue(parts, part => part.location),
+        phone: firstValue(parts, part => part.phone),
+        email: firstValue(parts, part => part.email),
+        links: mergeEntries(parts.map(part => part.links), ['url'], () => ({})),
+        summary: firstValue(parts, part => part.summary) || [],
+        experience: mergeEntries(parts.map(part => part.experience), ['title', 'company', 'dates'], (a, b) => ({
+            company: a.company || b.company,
+            dates: a.dates || b.dates,
+            responsibilities: unionList(a.responsibilities, b.responsibilities)
+        })),
+        education: mergeEntries(parts.map(part => part.education), ['degree', 'institution', 'year'], (a, b) => ({
+            institution: a.institution || b.institution,
+            year: a.year || b.year
+        })),
+        projects: mergeEntries(parts.map(part => part.projects), ['name', 'dates'], (a, b) => ({
+            role: a.role || b.role,
+            dates: a.dates || b.dates,
+            url: a.url || b.url,
+            description: a.description || b.description,
+            highlights: unionList(a.highlights, b.highlights)
+        })),
+        publications: mergeEntries(parts.map(part => part.publications), ['title'], (a, b) => ({
+            publisher: a.publisher || b.publisher,
+            date: a.date || b.date,
+            url: a.url || b.url
+        })),
+        volunteering: mergeEntries(parts.map(part => part.volunteering), ['role', 'organization', 'dates'], (a, b) => ({
+            organization: a.organization || b.organization,
+            dates: a.dates || b.dates,
+            highlights: unionList(a.highlights, b.highlights)
+        })),
+        certifications: unionList(...parts.map(part => part.certifications)),
+        skills: {
+            technical: unionCommaList(...parts.map(part => part.skills.technical)),
+            core: unionCommaList(...parts.map(part => part.skills.core))
+        },
+        achievements: unionList(...parts.map(part => part.achievements)),
+        awards: mergeEntries(parts.map(part => part.awards), ['title', 'date'], (a, b) => ({
+            issuer: a.issuer || b.issuer,
+            date: a.date || b.date,
+            description: a.description || b.description
+        })),
+        languages: mergeEntries(parts.map(part => part.languages), ['language'], (a, b) => ({
+            proficiency: a.proficiency || b.proficiency
+        })),
+        references: mergeEntries(parts.map(part => part.references), ['name'], (a, b) => ({
+            position: a.position || b.position,
+            contact: a.contact || b.contact,
+            note: a.note || b.note
+        })),
+        personal: {
+            nationality: firstValue(parts, part => part.personal.nationality),
+            visaStatus: firstValue(parts, part => part.personal.visaStatus),
+            other: unionList(...parts.map(part => part.personal.other))
+        }
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    chunkBudget,
+    splitResumeText,
+    mergeResumes
+};
@@ -0,0 +1,374 @@
+// Conversion pipeline - text extraction, structuring, fidelity checks, tailoring, translation
+// and rendering for one file. Shared by the API routes in server.js and the resume-convert CLI
+const path = require('path');
+const { getFormat, checkTemplateLayout, renderResume } = require('../renderers');
+const { getLanguage } = require('../renderers/labels');
+const { resolveLayoutOptions } = require('../renderers/layout-options');
+const { resolveLLMConfig } = require('../providers');
+const { validateResume, createValidationError } = require('../schema/resume');
+const { checkFidelity, createFidelityError } = require('../analysis/fidelity');
+const { readResumeFile } = require('../extractors');
+const { createUsageMeter, recordUsage, quotaApplies } = require('../accounts');
+const { throwIfAborted } = require('./jobs');
+const { anonymizeResume, saveMapping } = require('./anonymize');
+const { parseResumeText } = require('./heuristic');
+const { hashResumeText, getCachedExtraction, saveCachedExtraction, recordConversion } = require('./history');
+const { callLLM, tailorResume, translateResume } = require('./llm');
+const { log } = require('./log');
+
+// Text extraction, structuring, fidelity check and optional tailoring and translation for one file.
+// hooks.onStage reports progress to job subscribers; hooks.signal cancels the work;
+// hooks.user and hooks.kind attribute the provider usage in the usage ledger.
+async function runExtraction(file, options, extractor, hooks = {}) {
+    const { user = null, kind = 'extract' } = hooks;
+    return meterUsage({ user, kind, fileName: file.originalname }, extractor,
+        (metered) => extractAndStructure(file, options, metered, hooks));
+}
+
+async function extractAndStructure(file, options, extractor, hooks) {
+    const { onStage = () => {}, signal, requireFidelity = false } = hooks;
+    const language = options.targetLanguage ? getLanguage(options.targetLanguage) : null;
+
+    // Step 1: Extract text from the uploaded file
+    onStage('extracting', 'Extracting text from the document');
+    const source = await readResumeFile(file);
+    const resumeText = source.text;
+    log(`Text extracted successfully (${file.originalname}, ${source.type})`);
+    throwIfAborted(signal);
+
+    // Step 2: Structure the text with the LLM, or the heuristic parser when no model is available
+    const { resumeData, extractedWith, llm } = await structureResume(extractor, source, options, { onStage, signal });
+    log(`Resume data structured successfully (${extractedWith.type})`);
+
+    // Step 3: Check the extracted values against the source text
+    onStage('checking', 'Checking extracted values against the source text');
+    const fidelity = checkFidelity(resumeData, resumeText);
+    if (requireFidelity) {
+        enforceFidelity(fidelity, options);
+    }
+    throwIfAborted(signal);
+
+    // Step 4: Optionally tailor the content to a job description
+    const { jobDescription } = options;
+    const tailoring = jobDescription && jobDescription.trim();
+    const reason = extractedWith.reason || extractor.reason;
+    if (tailoring) {
+        requireLLM(llm, 'Tailoring to a job description', reason);
+    }
+    if (language) {
+        requireLLM(llm, 'Translation', reason);
+    }
+    const tailored = tailoring
+        ? await tailorResume(llm, resumeData, resumeText, jobDescription, onStage)
+        : null;
+    throwIfAborted(signal);
+
+    // Step 5: Optionally translate the content into the target language
+    const translated = language
+        ? await translateResume(llm, tailored ? tailored.resume : resumeData, language, onStage)
+        : null;
+
+    return { resumeText, resumeData, fidelity, tailored, translated, extractedWith };
+}
+
+function requireLLM(llm, task, reason) {
+    if (!llm) {
+        const error = new Error(`${task} needs an LLM (${reason})`);
+        error.status = 400;
+        throw error;
+    }
+}
+
+// The resume that gets rendered - translated, tailored or as extracted
+function finalResume({ resumeData, tailored, translated }) {
+    if (translated) {
+        return translated.resume;
+    }
+    return tailored ? tailored.resume : resumeData;
+}
+
+// Run work that may call the provider with every call metered, then record the tokens,
+// cost and outcome in the usage ledger - failed runs still cost tokens. A success counts
+// towards the monthly quota, so under a quota it is refused when it cannot be recorded
+async function meterUsage({ user, kind, fileName }, extractor, work) {
+    const meter = createUsageMeter();
+    const metered = extractor.llm ? { ...extractor, llm: { ...extractor.llm, onUsage: meter.add } } : extractor;
+    const record = (status, extractedWith) => recordUsage({
+        user, kind, fileName, status, extractedWith, llm: metered.llm, usage: meter.usage
+    });
+
+    let result;
+    try {
+        result = await work(metered);
+    } catch (error) {
+        bestEffort('record usage', () => record(error.name === 'AbortError' ? 'cancelled' : 'failed'));
+        throw error;
+    }
+
+    if (!quotaApplies(user)) {
+        bestEffort('record usage', () => record('succeeded', result.extractedWith));
+        return result;
+    }
+    try {
+        record('succeeded', result.extractedWith);
+    } catch (e) {
+        console.error('Could not record usage:', e.message);
+        const error = new Error('Usage could not be recorded against the monthly quota - try again later');
+        error.status = 503;
+        error.code = 'usage_not_recorded';
+        throw error;
+    }
+    return result;
+}
+
+// Full pipeline for one uploaded file - shared by /convert, /convert/batch, jobs and the CLI
+async function runConversion(file, options, extractor, template, hooks = {}) {
+    const { onStage = () => {}, signal } = hooks;
+    getOutputMode(options);
+    const format = getFormat(options.format, options.targetLanguage);
+    const layout = resolveLayoutOptions(options.layout);
+    checkTemplateLayout(template, layout);
+    const extraction = await runExtraction(file, options, extractor, { ...hooks, requireFidelity: true });
+    throwIfAborted(signal);
+
+    // Step 6: Render the output document
+    onStage('rendering', `Rendering the ${format.label} (${template.id} template)`);
+    const { tailored, translated } = extraction;
+    const resume = finalResume(extraction);
+    const language = translated ? translated.translation.language : undefined;
+    const anonymization = applyOutputMode(resume, options, file.originalname);
+    const document = await renderOutput(anonymization ? anonymization.resume : resume, template, format.id, anonymization, language, layout);
+    log(`${format.label} generated successfully (template: ${template.id})`);
+
+    const historyId = saveHistory({
+        user: hooks.user,
+        fileName: file.originalname,
+        template,
+        document,
+        resume,
+        extractedWith: extraction.extractedWith,
+        tailored,
+        language,
+        layout,
+        anonymization
+    });
+
+    return { ...extraction, document, anonymization, historyId };
+}
+
+// extractor=heuristic skips the LLM; with the default extractor a missing API key
+// falls back to the heuristic parser unless fallback is turned off
+function resolveExtractor(options = {}) {
+    const type = options.extractor || 'llm';
+    if (type === 'heuristic') {
+        return { type, reason: 'heuristic extractor requested' };
+    }
+    if (type !== 'llm') {
+        const error = new Error(`Unknown extractor: ${type}`);
+        error.status = 400;
+        throw error;
+    }
+
+    try {
+        return { type, llm: resolveLLMConfig(options) };
+    } catch (error) {
+        if (error.code !== 'missing_api_key' || !isFallbackEnabled(options)) {
+            throw error;
+        }
+        return { type: 'heuristic', reason: 'no API key configured' };
+    }
+}
+
+// Per-request "fallback" field, otherwise HEURISTIC_FALLBACK (on unless set to "false")
+function isFallbackEnabled(options = {}) {
+    if (options.fallback !== undefined) {
+        return isEnabled(options.fallback);
+    }
+    return process.env.HEURISTIC_FALLBACK !== 'false';
+}
+
+// Per-request "cache" field, otherwise RESUME_CACHE (on unless set to "false").
+// Turning it off forces a fresh LLM call; the new result still replaces the cached one
+function isCacheEnabled(options = {}) {
+    if (options.cache !== undefined) {
+        return isEnabled(options.cache);
+    }
+    return process.env.RESUME_CACHE !== 'false';
+}
+
+// Structure an uploaded resume with the resolved extractor; a failed LLM call falls back to the
+// heuristic parser. Imported JSON is already structured, so it skips both
+async function structureResume(extractor, source, options = {}, hooks = {}) {
+    const { onStage = () => {}, signal } = hooks;
+    const resumeText = source.text;
+
+    if (source.imported) {
+        const { resume, schema, warnings } = source.imported;
+        onStage('parsing', `Importing ${schema === 'json-resume' ? 'JSON Resume' : 'resume'} data`);
+        const llm = extractor.llm && signal ? { ...extractor.llm, signal } : (extractor.llm || null);
+        return { resumeData: resume, llm, extractedWith: { type: 'import', schema, warnings } };
+    }
+
+    if (extractor.type === 'llm') {
+        const llm = signal ? { ...extractor.llm, signal } : extractor.llm;
+
+        // The same text through the same model was structured before - reuse it
+        const textHash = hashResumeText(resumeText, llm);
+        const cached = isCacheEnabled(options) ? getCachedExtraction(textHash) : null;
+        if (cached) {
+            onStage('parsing', `Using the cached extraction from ${cached.createdAt}`);
+            log(`Extraction cache hit (${textHash.slice(0, 12)})`);
+            // Entries cached under an older schema version are upgraded on the way out
+            const { resume: resumeData } = validateResume(cached.resume);
+            return { resumeData, llm, extractedWith: { ...cached.extractedWith, cached: true } };
+        }
+
+        try {
+            const { resume: resumeData, chunks, warnings } = await callLLM(llm, resumeText, onStage);
+            const extractedWith = { type: 'llm', provider: llm.provider, model: llm.model, chunks, warnings };
+            bestEffort('cache the extraction', () => saveCachedExtraction(textHash, resumeData, extractedWith));
+            return { resumeData, llm, extractedWith };
+        } catch (error) {
+            if ((signal && signal.aborted) || !isFallbackEnabled(options)) {
+                throw error;
+            }
+            log(`LLM extraction failed (${error.message}) - falling back to the heuristic parser`);
+            return parseHeuristically(resumeText, `LLM extraction failed: ${error.message}`, onStage);
+        }
+    }
+
+    return parseHeuristically(resumeText, extractor.reason, onStage);
+}
+
+function parseHeuristically(resumeText, reason, onStage) {
+    onStage('parsing', `Parsing with the offline heuristic parser (${reason})`);
+    const { resume, confidence } = parseResumeText(resumeText);
+
+    const { resume: resumeData, errors } = validateResume(resume);
+    if (errors.length > 0) {
+        throw createValidationError(errors, 'The heuristic parser could not find the required resume details');
+    }
+
+    return { resumeData, llm: null, extractedWith: { type: 'heuristic', reason, confidence } };
+}
+
+// Form fields arrive as strings, JSON bodies as booleans
+function isEnabled(value) {
+    return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Flagged output needs an acknowledgement; strict mode refuses it until the flags are resolved
+function enforceFidelity(report, options = {}) {
+    if (report.passed) {
+        return;
+    }
+
+    const strict = isEnabled(options.strict);
+    if (strict || !isEnabled(options.acknowledgeFlags)) {
+        throw createFidelityError(report, strict);
+    }
+}
+
+function getOutputMode(options = {}) {
+    const mode = options.mode || 'standard';
+    if (!['standard', 'anonymized'].includes(mode)) {
+        const error = new Error(`Unknown output mode: ${mode}`);
+        error.status = 400;
+        throw error;
+    }
+    return mode;
+}
+
+// mode=anonymized swaps the candidate's identity for a reference code and records the mapping.
+// A read-only disk (as on Vercel) still gets the anonymized document, with mappingSaved false
+// so the caller knows the reference cannot be looked up later
+function applyOutputMode(resume, options = {}, fileName) {
+    if (getOutputMode(options) !== 'anonymized') {
+        return null;
+    }
+
+    const { resume: anonymized, reference, original } = anonymizeResume(resume);
+    const mappingSaved = bestEffort('record the anonymization mapping', () => {
+        saveMapping(reference, original, fileName);
+        return true;
+    }) === true;
+    log(`Anonymized output as ${reference}`);
+    return { resume: anonymized, reference, mappingSaved };
+}
+
+// The anonymized resume for a preview - the mapping is only recorded for real output
+function previewOutputMode(resume, options = {}) {
+    if (getOutputMode(options) !== 'anonymized') {
+        return null;
+    }
+
+    const { resume: anonymized, reference } = anonymizeResume(resume);
+    return { resume: anonymized, reference };
+}
+
+// Render in the requested format (see renderers/) - returns { format, buffer }.
+// Anonymized resumes render without placeholder text for the cleared fields; language
+// is the code of the label set for headings (English when not given); layout holds
+// the checked layout options (see resolveLayoutOptions)
+async function renderOutput(data, template, format, anonymization = null, language = undefined, layout = null) {
+    return renderResume(data, template, format, { placeholders: !anonymization, language, layout });
+}
+
+// "cv.pdf" -> "cv_converted.docx"; cover letters use the suffix "cover_letter"
+function outputFileName(originalName, format, suffix = 'converted') {
+    const baseName = path.basename(originalName).replace(/\.[^/.]+$/, '').replace(/"/g, '');
+    return `${baseName}_${suffix}.${format.extension}`;
+}
+
+// Keep a record of the rendered conversion; returns its id, or null if it could not be stored
+// Only conversions by an identified user are kept - anonymous callers cannot be told apart,
+// so their history would be everyone's
+function saveHistory({ user, fileName, template, document, resume, extractedWith, tailored, language, layout, anonymization }) {
+    if (!user) {
+        return null;
+    }
+    return bestEffort('record the conversion', () => recordConversion({
+        user: userId(user),
+        fileName: anonymization ? anonymization.reference : fileName,
+        template: template.id,
+        format: document.format.id,
+        resume: anonymization ? anonymization.resume : resume,
+        extractedWith,
+        tailored,
+        language,
+        layout,
+        reference: anonymization ? anonymization.reference : undefined
+    }).id);
+}
+
+function userId(user) {
+    return user ? user.id : undefined;
+}
+
+// The cache, history and anonymization mappings are conveniences - a read-only or full disk
+// must not fail the conversion
+function bestEffort(action, fn) {
+    try {
+        return fn();
+    } catch (error) {
+        console.error(`Could not ${action}:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    runExtraction,
+    runConversion,
+    meterUsage,
+    resolveExtractor,
+    structureResume,
+    finalResume,
+    isEnabled,
+    enforceFidelity,
+    applyOutputMode,
+    previewOutputMode,
+    renderOutput,
+    outputFileName,
+    saveHistory,
+    userId
+};
@@ -0,0 +1,105 @@
+// Cover letters - written by the LLM from structured resume data and a job description,
+// checked against the resume and rendered as a Word letter in the template's typography
+const { getTemplate } = require('../templates');
+const { getFormat } = require('../renderers');
+const { generateCoverLetter } = require('../renderers/docx');
+const { getLanguage } = require('../renderers/labels');
+const { readResumeFile } = require('../extractors');
+const { writeCoverLetter } = require('./llm');
+const { meterUsage, structureResume } = require('./conversion');
+
+const DEFAULT_TONE = 'professional';
+const DEFAULT_LENGTH = 'medium';
+
+const TONES = {
+    professional: { label: 'Professional', description: 'formal, professional' },
+    warm: { label: 'Warm', description: 'warm, personable but still professional' },
+    confident: { label: 'Confident', description: 'confident, direct and results-focused' },
+    enthusiastic: { label: 'Enthusiastic', description: 'enthusiastic, energetic but not exaggerated' }
+};
+
+const LENGTHS = {
+    short: { label: 'Short', paragraphs: 2, words: 150 },
+    medium: { label: 'Medium', paragraphs: 3, words: 250 },
+    long: { label: 'Long', paragraphs: 4, words: 350 }
+};
+
+function lookup(registry, id, kind) {
+    const entry = registry[id];
+    if (!entry) {
+        const error = new Error(`Unknown cover letter ${kind}: ${id} (supported: ${Object.keys(registry).join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+    return { id, ...entry };
+}
+
+// Tone, length and language for a letter request - unknown values are a 400
+function resolveLetterStyle(options = {}) {
+    return {
+        tone: lookup(TONES, options.tone || DEFAULT_TONE, 'tone'),
+        length: lookup(LENGTHS, options.length || DEFAULT_LENGTH, 'length'),
+        language: getLanguage(options.language)
+    };
+}
+
+// Summaries for GET /cover-letter/options and the frontend pickers
+function listLetterOptions() {
+    const list = (registry, defaultId) => Object.entries(registry).map(([id, entry]) => ({
+        id,
+        label: entry.label,
+        default: id === defaultId
+    }));
+    return { tones: list(TONES, DEFAULT_TONE), lengths: list(LENGTHS, DEFAULT_LENGTH) };
+}
+
+// "19 October 2026" in the letter's language
+function letterDate(language, date = new Date()) {
+    return date.toLocaleDateString(language.locale, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Write and render a cover letter from resume data, or from an uploaded resume that is
+// structured first. options: jobDescription, tone, length, language and recipient (one
+// address line per line); hooks.user attributes the provider usage
+async function runCoverLetter({ file, resume }, options, extractor, template, hooks = {}) {
+    const { user = null } = hooks;
+    const style = resolveLetterStyle(options);
+    if (!extractor.llm) {
+        const error = new Error(`Cover letters need an LLM (${extractor.reason})`);
+        error.status = 400;
+        throw error;
+    }
+
+    const fileName = file ? file.originalname : (options.fileName || 'resume');
+    const { resumeData, letter, warnings, extractedWith } = await meterUsage({ user, kind: 'cover-letter', fileName }, extractor, async (metered) => {
+        const structured = file
+            ? await structureResume(metered, await readResumeFile(file), options)
+            : { resumeData: resume, llm: metered.llm };
+        const written = await writeCoverLetter(structured.llm || metered.llm, structured.resumeData, options.jobDescription, style);
+        return { resumeData: structured.resumeData, ...written, extractedWith: structured.extractedWith };
+    });
+
+    // Branded templates carry no typography of their own, so their letters use the default template's
+    const letterTemplate = template.type === 'docx' ? getTemplate() : template;
+    const recipient = String(options.recipient || '').split('\n').map(text => text.trim()).filter(Boolean);
+    const buffer = await generateCoverLetter(
+        { ...letter, date: letterDate(style.language), recipient },
+        resumeData,
+        letterTemplate,
+        { language: options.language ? style.language.code : undefined }
+    );
+
+    return {
+        resumeData,
+        letter,
+        warnings,
+        extractedWith,
+        document: { format: getFormat('docx'), buffer }
+    };
+}
+
+module.exports = {
+    resolveLetterStyle,
+    listLetterOptions,
+    runCoverLetter
+};
@@ -0,0 +1,424 @@
+// Rule-based resume parser - builds the resume JSON without an LLM.
+// Used when extractor=heuristic is requested or the model is unavailable.
+const { parseLanguages } = require('../schema/resume');
+
+const HEADING_PATTERNS = {
+    summary: /^(professional |career |personal )?(summary|profile|objective|about me|overview)$/,
+    experience: /^((work|professional|employment|career|relevant) )?(experience|history)$|^employment$/,
+    education: /^(education|academic (background|qualifications)|qualifications|education and training)$/,
+    certifications: /^(certifications?|certificates|licen[cs]es( and certifications)?|courses|training)$/,
+    achievements: /^((key )?(achievements|accomplishments)|awards( and honou?rs)?|honou?rs)$/,
+    skills: /^((technical |key |core )?(skills|competencies|expertise)|skills and competencies|core competencies)$/,
+    personal: /^(personal (details|information|data)|additional information|languages)$/,
+    projects: /^((key |personal |selected |academic |notable )?projects)$/,
+    publications: /^((selected )?publications|papers|research and publications)$/,
+    volunteering: /^(volunteer(ing)?( experience| work)?|community (service|involvement))$/,
+    references: /^(references|referees)$/,
+    // Sections the resume JSON has no place for - kept as personal details rather than
+    // being read as part of the section above them
+    other: /^(interests|hobbies( and interests)?|interests and hobbies|affiliations|(professional )?memberships|activities|extracurricular activities)$/
+};
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+)?(?:19|20)\\d{2}|\\d{1,2}\\/(?:19|20)\\d{2}`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now|date)`, 'i');
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+
+const EMAIL = /[^\s@|,;<>()]+@[^\s@|,;<>()]+\.[a-z]{2,}/i;
+const PHONE = /\+?\d[\d\s().-]{6,}\d/;
+const URL = /\b(?:https?:\/\/|www\.)[^\s|,;<>()]+|\b(?:linkedin\.com|github\.com|gitlab\.com|behance\.net)\/[^\s|,;<>()]+/gi;
+const BULLET = /^(?:[•·▪●◦■□➢►\-*–]|o(?=\s)|\d{1,2}[.)](?=\s))\s*/;
+const SEPARATORS = /\s*(?:\||•|·|\t| {3,}| – | — | - |, (?=[A-Z])| at )\s*/;
+
+const TITLE_WORDS = /\b(manager|engineer|developer|analyst|director|lead|specialist|consultant|officer|coordinator|assistant|executive|head|intern|designer|administrator|supervisor|associate|architect|accountant|scientist|representative|advisor|technician|president|founder|owner|teacher|nurse|agent|clerk|programmer|producer|editor|writer|planner|strategist|controller|auditor|recruiter|partner|chef|trainee)\b/i;
+const DEGREE_WORDS = /\b(bachelor|master|b\.?\s?sc|m\.?\s?sc|b\.?a\b|m\.?a\b|mba|ph\.?d|doctorate|diploma|associate degree|b\.?\s?eng|m\.?\s?eng|b\.?\s?tech|m\.?\s?tech|b\.?\s?com|high school|a-levels|gcse|degree)/i;
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic|universit[ée])\b/i;
+
+function normaliseHeading(line) {
+    return line.toLowerCase().replace(/[:\-–—_*#=]+$/g, '').replace(/[^a-z& ]/g, '').replace(/&/g, 'and').replace(/\s+/g, ' ').trim();
+}
+
+function detectHeading(line) {
+    if (line.length > 40 || BULLET.test(line) && !/^[A-Z\s&]+$/.test(line)) {
+        return null;
+    }
+    const text = normaliseHeading(line);
+    return Object.keys(HEADING_PATTERNS).find(section => HEADING_PATTERNS[section].test(text)) || null;
+}
+
+// Split the text into the lines before the first heading and one block per heading
+function splitSections(text) {
+    const lines = text.split(/\r?\n/).map(line => line.replace(/\s+$/, '').trim());
+    const sections = { header: [] };
+    const headingsFound = new Set();
+    let current = 'header';
+
+    lines.forEach(line => {
+        const heading = line ? detectHeading(line) : null;
+        if (heading) {
+            current = heading;
+            headingsFound.add(heading);
+            sections[current] = sections[current] || [];
+            return;
+        }
+        sections[current].push(line);
+    });
+
+    return { sections, headingsFound };
+}
+
+function stripBullet(line) {
+    return line.replace(BULLET, '').trim();
+}
+
+function isBullet(line) {
+    return BULLET.test(line) && stripBullet(line).length > 0;
+}
+
+function findPhone(line) {
+    const match = line.match(PHONE);
+    return match && match[0].replace(/\D/g, '').length >= 8 && !DATE_RANGE.test(match[0]) ? match[0].trim() : '';
+}
+
+// Blank-line separated paragraphs, with wrapped lines joined back together
+function paragraphs(lines) {
+    const result = [];
+    let current = [];
+    lines.forEach(line => {
+        if (!line) {
+            if (current.length > 0) {
+                result.push(current.join(' '));
+            }
+            current = [];
+            return;
+        }
+        current.push(stripBullet(line));
+    });
+    if (current.length > 0) {
+        result.push(current.join(' '));
+    }
+    return result;
+}
+
+// Bullet items; lines without a bullet marker continue the previous item when it was cut off mid-sentence
+function listItems(lines) {
+    const items = [];
+    lines.filter(Boolean).forEach(line => {
+        const continues = items.length > 0 && !isBullet(line) && /^[a-z(]/.test(line);
+        if (continues) {
+            items[items.length - 1] += ` ${line}`;
+        } else {
+            items.push(stripBullet(line));
+        }
+    });
+    return items.filter(Boolean);
+}
+
+function parseHeader(lines) {
+    const header = { name: '', location: '', phone: '', email: '', links: [] };
+    const prose = [];
+
+    lines.filter(Boolean).forEach(rawLine => {
+        const urls = rawLine.match(URL) || [];
+        urls.forEach(url => header.links.push({ label: '', url }));
+        const line = urls.reduce((text, url) => text.replace(url, ''), rawLine).trim();
+        if (!line) {
+            return;
+        }
+
+        const email = line.match(EMAIL);
+        if (email && !header.email) {
+            header.email = email[0];
+        }
+        const phone = findPhone(line);
+        if (phone && !header.phone) {
+            header.phone = phone;
+        }
+
+        const remaining = line.replace(EMAIL, '').replace(phone || /$^/, '');
+        const segments = remaining.split(/\s*[|•·]\s*/).map(segment => segment.replace(/^(location|address)\s*:\s*/i, '').trim()).filter(Boolean);
+
+        if (!header.name && !email && !phone && /^[\p{L}\p{M}'’.·・\- ]{2,50}$/u.test(line) && line.split(/\s+/).length <= 5) {
+            header.name = line.toUpperCase();
+            return;
+        }
+
+        segments.forEach(segment => {
+            if (!header.location && /^[\p{L}\p{M} .'’-]+[,،，]\s*[\p{L}\p{M} .'’-]+$/u.test(segment) && segment.length <= 60) {
+                header.location = segment;
+            } else if (segment.length > 80) {
+                prose.push(segment);
+            }
+        });
+    });
+
+    return { header, prose };
+}
+
+// Split a job's heading lines into title, company and dates
+function parseJobHeading(headingLines) {
+    let dates = '';
+    const segments = [];
+
+    headingLines.forEach(line => {
+        let text = line;
+        const range = text.match(DATE_RANGE);
+        if (range && !dates) {
+            dates = range[0].replace(/\s*(?:-|–|—|to)\s*/i, ' – ');
+            text = text.replace(range[0], ' ');
+        }
+        text.replace(/\(\s*\)/g, ' ').split(SEPARATORS)
+            .map(segment => segment.replace(/^[,|\s]+|[,|\s]+$/g, ''))
+            .filter(segment => segment && !/^(?:19|20)\d{2}$/.test(segment))
+            .forEach(segment => segments.push(segment));
+    });
+
+    const titleIndex = segments.findIndex(segment => TITLE_WORDS.test(segment));
+    const title = titleIndex >= 0 ? segments[titleIndex] : (segments[0] || '');
+    const rest = segments.filter((segment, index) => index !== (titleIndex >= 0 ? titleIndex : 0));
+
+    return { title, company: rest.join(', '), dates };
+}
+
+// Group a section's lines into entries - heading lines (title, organisation, dates)
+// followed by bullets. Shared by experience, projects and volunteering
+function groupEntries(lines) {
+    const entries = [];
+    let heading = [];
+    let bullets = [];
+
+    const flush = () => {
+        if (heading.length > 0 || bullets.length > 0) {
+            entries.push({ heading, bullets });
+        }
+        heading = [];
+        bullets = [];
+    };
+
+    lines.forEach(line => {
+        if (!line) {
+            return;
+        }
+        const proseLine = !isBullet(line) && line.length > 90;
+        if (isBullet(line) || proseLine || (bullets.length > 0 && /^[a-z(]/.test(line))) {
+            bullets.push(line);
+            return;
+        }
+
+        // A heading line after bullets, or a second date range, starts the next job
+        const hasDates = DATE_RANGE.test(line);
+        if (bullets.length > 0 || (hasDates && heading.some(previous => DATE_RANGE.test(previous)))) {
+            flush();
+        }
+        heading.push(line);
+    });
+    flush();
+
+    return entries;
+}
+
+function parseExperience(lines) {
+    return groupEntries(lines)
+        .map(({ heading, bullets }) => ({ ...parseJobHeading(heading), responsibilities: listItems(bullets) }))
+        .filter(job => job.title || job.company || job.responsibilities.length > 0);
+}
+
+// "Route Planner | Lead developer | 2021 – 2022" with an optional link, then highlights
+function parseProjects(lines) {
+    return groupEntries(lines).map(({ heading, bullets }) => {
+        const urls = heading.join(' ').match(URL) || [];
+        const { title, company, dates } = parseJobHeading(heading.map(line => urls.reduce((text, url) => text.replace(url, ' '), line)));
+        const [name, ...role] = [title, company].filter(Boolean);
+        return {
+            name: name || '',
+            role: role.join(', '),
+            dates,
+            url: urls[0] || '',
+            description: '',
+            highlights: listItems(bullets)
+        };
+    }).filter(project => project.name);
+}
+
+function parseVolunteering(lines) {
+    return groupEntries(lines).map(({ heading, bullets }) => {
+        const { title, company, dates } = parseJobHeading(heading);
+        return { role: title, organization: company, dates, highlights: listItems(bullets) };
+    }).filter(entry => entry.role);
+}
+
+// One publication per item; the link and the last year are taken out of the citation
+function parsePublications(lines) {
+    return listItems(lines).map(item => {
+        const urls = item.match(URL) || [];
+        const years = item.match(YEAR) || [];
+        const title = urls.reduce((text, url) => text.replace(url, ''), item).replace(/[\s,.;|]+$/, '').trim();
+        return { title, publisher: '', date: years[years.length - 1] || '', url: urls[0] || '' };
+    }).filter(publication => publication.title);
+}
+
+// "Jane Smith, Director, Acme Ltd - jane@acme.com"; "available on request" is no reference
+function parseReferences(lines) {
+    return listItems(lines)
+        .filter(item => !/available (up)?on request/i.test(item))
+        .map(item => {
+            const email = item.match(EMAIL);
+            const phone = findPhone(item);
+            const contact = [email ? email[0] : '', phone].filter(Boolean).join(', ');
+            const text = item.replace(EMAIL, '').replace(phone || /$^/, '');
+            const [name = '', ...position] = text.split(SEPARATORS).map(part => part.replace(/^[,|\s]+|[,|\s]+$/g, '')).filter(Boolean);
+            return { name, position: position.join(', '), contact, note: '' };
+        })
+        .filter(reference => reference.name);
+}
+
+function parseEducation(lines) {
+    const entries = [];
+    let current = null;
+
+    lines.filter(Boolean).map(stripBullet).forEach(line => {
+        if (DEGREE_WORDS.test(line) || !current) {
+            current = { degree: '', institution: '', year: '' };
+            entries.push(current);
+        }
+
+        const range = line.match(DATE_RANGE);
+        const years = line.match(YEAR);
+        if (!current.year && (range || years)) {
+            current.year = range ? range[2] : years[years.length - 1];
+        }
+
+        const text = line.replace(DATE_RANGE, ' ').replace(YEAR, ' ').replace(/\(\s*\)/g, ' ');
+        const parts = text.split(/\s*(?:\||•|\t| {3,}| – | — | - )\s*/).map(part => part.replace(/^[,\s]+|[,\s]+$/g, '')).filter(Boolean);
+
+        // "BSc Computer Science, MIT" on a single line
+        if (parts.length === 1 && !current.degree && DEGREE_WORDS.test(parts[0]) && parts[0].includes(', ')) {
+            const [degree, ...institution] = parts[0].split(', ');
+            parts.splice(0, 1, degree, institution.join(', '));
+        }
+
+        parts.forEach(part => {
+            if (!current.degree && (DEGREE_WORDS.test(part) || !INSTITUTION_WORDS.test(part))) {
+                current.degree = part;
+            } else if (!current.institution) {
+                current.institution = part;
+            }
+        });
+    });
+
+    return entries.filter(entry => entry.degree || entry.institution);
+}
+
+function parseSkills(lines) {
+    const technical = [];
+    const core = [];
+
+    listItems(lines).forEach(item => {
+        const labelled = item.match(/^([^:]{2,30}):\s*(.+)$/);
+        const target = labelled && /core|soft|competenc|interpersonal/i.test(labelled[1]) ? core : technical;
+        const values = (labelled ? labelled[2] : item).split(/\s*[,;|•·]\s*/).filter(Boolean);
+        target.push(...values);
+    });
+
+    return { technical: technical.join(', '), core: core.join(', '), labelled: core.length > 0 };
+}
+
+function parsePersonal(lines) {
+    const personal = { nationality: '', visaStatus: '', other: [] };
+    const languages = [];
+
+    listItems(lines).forEach(item => {
+        const [, label = '', value = ''] = item.match(/^([^:]{2,30}):\s*(.+)$/) || [];
+        if (/nationality|citizenship/i.test(label)) {
+            personal.nationality = value;
+        } else if (/language/i.test(label)) {
+            languages.push(...parseLanguages(value));
+        } else if (/visa|work permit|residen/i.test(label)) {
+            personal.visaStatus = value;
+        } else {
+            personal.other.push(item);
+        }
+    });
+
+    return { personal, languages };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Per-section confidence between 0 and 1, based on how much of each section's expected shape was found
+function scoreConfidence(resume, headingsFound, { summaryInferred, skillsLabelled }) {
+    const headingFactor = (section) => (headingsFound.has(section) ? 1 : 0.7);
+    const listScore = (section, items) => (items.length > 0 ? 0.9 * headingFactor(section) : 0);
+
+    const sections = {
+        header: (resume.name ? 0.4 : 0) + (resume.email ? 0.3 : 0) + (resume.phone ? 0.2 : 0) + (resume.location ? 0.1 : 0),
+        summary: resume.summary.length === 0 ? 0 : (summaryInferred ? 0.5 : 0.9),
+        experience: average(resume.experience.map(job =>
+            (job.title ? 0.35 : 0) + (job.company ? 0.3 : 0) + (job.dates ? 0.2 : 0) + (job.responsibilities.length > 0 ? 0.15 : 0)
+        )) * headingFactor('experience'),
+        education: average(resume.education.map(entry =>
+            (entry.degree ? 0.4 : 0) + (entry.institution ? 0.35 : 0) + (entry.year ? 0.25 : 0)
+        )) * headingFactor('education'),
+        certifications: listScore('certifications', resume.certifications),
+        achievements: listScore('achievements', resume.achievements),
+        skills: resume.skills.technical || resume.skills.core ? (skillsLabelled ? 0.9 : 0.7) : 0,
+        personal: resume.languages.length > 0 || Object.values(resume.personal).some(value => value.length > 0) ? 0.8 : 0
+    };
+
+    Object.keys(sections).forEach(section => {
+        sections[section] = round(sections[section]);
+    });
+
+    // The header, experience and education carry most of a resume
+    const overall = round(sections.header * 0.3 + sections.experience * 0.45 + sections.education * 0.25);
+    return { overall, sections };
+}
+
+// Parse extracted resume text into the resume JSON structure plus a confidence report
+function parseResumeText(text) {
+    const { sections, headingsFound } = splitSections(text || '');
+    const { header, prose } = parseHeader(sections.header);
+
+    const summary = sections.summary ? paragraphs(sections.summary) : prose;
+    const skills = parseSkills(sections.skills || []);
+    const { personal, languages } = parsePersonal(sections.personal || []);
+    personal.other.push(...listItems(sections.other || []));
+
+    const resume = {
+        ...header,
+        summary,
+        experience: parseExperience(sections.experience || []),
+        education: parseEducation(sections.education || []),
+        projects: parseProjects(sections.projects || []),
+        publications: parsePublications(sections.publications || []),
+        volunteering: parseVolunteering(sections.volunteering || []),
+        certifications: listItems(sections.certifications || []),
+        skills: { technical: skills.technical, core: skills.core },
+        achievements: listItems(sections.achievements || []),
+        awards: [],
+        languages,
+        references: parseReferences(sections.references || []),
+        personal
+    };
+
+    return {
+        resume,
+        confidence: scoreConfidence(resume, headingsFound, {
+            summaryInferred: !sections.summary,
+            skillsLabelled: skills.labelled
+        })
+    };
+}
+
+module.exports = {
+    parseResumeText,
+    detectHeading,
+    isBullet,
+    DATE_RANGE
+};
@@ -0,0 +1,110 @@
+// Extraction cache and conversion history - structured resumes are kept on disk so a
+// file converted before skips the LLM, and past conversions can be rendered again
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = process.env.RESUME_CACHE_DIR || path.join(__dirname, '..', 'data', 'cache');
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+const ID_PATTERN = /^[a-f0-9]{12}$/;
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+// Same text through the same model gives the same cache entry; whitespace differences
+// between extractions of one file do not matter
+function hashResumeText(text, llm) {
+    const normalised = text.replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256')
+        .update(`${llm.provider}\n${llm.model}\n${normalised}`)
+        .digest('hex');
+}
+
+function readJson(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null;
+}
+
+function getCachedExtraction(hash) {
+    return HASH_PATTERN.test(hash) ? readJson(path.join(CACHE_DIR, `${hash}.json`)) : null;
+}
+
+function saveCachedExtraction(hash, resume, extractedWith) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(CACHE_DIR, `${hash}.json`), JSON.stringify({
+        hash,
+        createdAt: new Date().toISOString(),
+        extractedWith,
+        resume
+    }, null, 2));
+}
+
+// Record a finished conversion. The resume stored is the one that was rendered (tailored
+// or anonymized where those were applied), so a re-render reproduces the same content.
+// Entries belong to the user who converted them - anonymous conversions are not kept; language
+// is the label set the resume was rendered with, so a re-render keeps translated headings,
+// and layout the page, font and section options it was rendered with
+function recordConversion({ user, fileName, template, format, resume, extractedWith, tailored, language, layout, reference }) {
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        createdAt: new Date().toISOString(),
+        user,
+        fileName,
+        template,
+        format,
+        extractor: extractedWith.type,
+        cached: Boolean(extractedWith.cached),
+        tailored: Boolean(tailored),
+        language: language || undefined,
+        layout: layout || undefined,
+        reference: reference || undefined,
+        resume
+    };
+
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(path.join(HISTORY_DIR, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+    return entry;
+}
+
+// Entries without a user (kept by older versions) belong to no one
+function belongsTo(entry, user) {
+    return Boolean(user) && entry.user === user;
+}
+
+// The user's conversions, newest first, without the resume bodies
+function listHistory(user, limit = DEFAULT_HISTORY_LIMIT) {
+    if (!fs.existsSync(HISTORY_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(HISTORY_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, file), 'utf-8')))
+        .filter(entry => belongsTo(entry, user))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(({ resume, ...summary }) => summary);
+}
+
+// Another user's entry reads as missing
+function getHistoryEntry(id, user) {
+    const entry = ID_PATTERN.test(id) ? readJson(path.join(HISTORY_DIR, `${id}.json`)) : null;
+    return entry && belongsTo(entry, user) ? entry : null;
+}
+
+function deleteHistoryEntry(id, user) {
+    if (!getHistoryEntry(id, user)) {
+        return false;
+    }
+    fs.rmSync(path.join(HISTORY_DIR, `${id}.json`), { force: true });
+    return true;
+}
+
+module.exports = {
+    hashResumeText,
+    getCachedExtraction,
+    saveCachedExtraction,
+    recordConversion,
+    listHistory,
+    getHistoryEntry,
+    deleteHistoryEntry
+};
@@ -0,0 +1,152 @@
+// In-memory conversion jobs - run the pipeline in the background and publish
+// stage transitions to Server-Sent Events subscribers.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_TIMEOUT_MS = 3 * 60 * 1000;
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+function getJobTimeout() {
+    return parseInt(process.env.JOB_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+}
+
+function getJobTtl() {
+    return parseInt(process.env.JOB_TTL_MS, 10) || DEFAULT_TTL_MS;
+}
+
+// user is the id of the caller that started the job (undefined for anonymous use)
+function createJob(type, fileName, user) {
+    const job = {
+        id: crypto.randomUUID(),
+        user,
+        type,
+        fileName,
+        status: 'queued',
+        stage: null,
+        events: [],
+        emitter: new EventEmitter(),
+        controller: new AbortController(),
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        result: null,
+        error: null
+    };
+    job.emitter.setMaxListeners(0);
+    jobs.set(job.id, job);
+    return job;
+}
+
+// Another user's job reads as missing, like their history. Anonymous jobs are reached by
+// their id alone, which is a random UUID
+function getJob(id, user) {
+    const job = jobs.get(id);
+    return job && (job.user || null) === (user || null) ? job : null;
+}
+
+function isFinished(job) {
+    return FINAL_STATUSES.includes(job.status);
+}
+
+// Every event is kept so late subscribers can replay the job's history
+function recordEvent(job, type, data = {}) {
+    const event = { type, at: new Date().toISOString(), ...data };
+    job.events.push(event);
+    job.emitter.emit('event', event);
+    return event;
+}
+
+function finishJob(job, status, data) {
+    if (isFinished(job)) {
+        return;
+    }
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    recordEvent(job, status, data);
+
+    // Drop the job (and its result buffer) once nobody is likely to fetch it
+    setTimeout(() => jobs.delete(job.id), getJobTtl()).unref();
+}
+
+// Run task(signal, onStage) in the background with a timeout
+function runJob(job, task) {
+    const timeoutMs = getJobTimeout();
+    const timer = setTimeout(() => {
+        job.error = `Job timed out after ${Math.round(timeoutMs / 1000)} seconds`;
+        job.controller.abort();
+        finishJob(job, 'failed', { error: job.error });
+    }, timeoutMs);
+    timer.unref();
+
+    const onStage = (stage, message) => {
+        if (isFinished(job)) {
+            return;
+        }
+        job.status = 'running';
+        job.stage = stage;
+        recordEvent(job, 'stage', { stage, message });
+    };
+
+    recordEvent(job, 'queued', { fileName: job.fileName });
+
+    Promise.resolve()
+        .then(() => task(job.controller.signal, onStage))
+        .then(result => {
+            job.result = result;
+            finishJob(job, 'completed', { stage: job.stage });
+        })
+        .catch(error => {
+            if (job.controller.signal.aborted) {
+                return;
+            }
+            console.error(`Job ${job.id} failed:`, error.message);
+            job.error = error.message;
+            finishJob(job, 'failed', { error: error.message, status: error.status, details: error.details });
+        })
+        .finally(() => clearTimeout(timer));
+}
+
+function cancelJob(job) {
+    if (isFinished(job)) {
+        return false;
+    }
+    job.error = 'Job cancelled';
+    job.controller.abort();
+    finishJob(job, 'cancelled', { error: job.error });
+    return true;
+}
+
+// Public view of a job for GET /jobs/:id
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        fileName: job.fileName,
+        status: job.status,
+        stage: job.stage,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        error: job.error
+    };
+}
+
+// Throw between pipeline stages once a job has been cancelled or timed out
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error('Job cancelled');
+        error.name = 'AbortError';
+        throw error;
+    }
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    runJob,
+    cancelJob,
+    describeJob,
+    isFinished,
+    throwIfAborted
+};
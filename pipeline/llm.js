@@ -0,0 +1,414 @@
+// LLM extraction, tailoring, translation and cover letters - prompts, schema validation with a
+// repair round, and part-by-part extraction of resumes too long for one request
+const { complete } = require('../providers');
+const { SCHEMA_VERSION, validateResume, createValidationError, formatErrors } = require('../schema/resume');
+const { enforceTailoringGuardrails, diffTailoredResume } = require('../analysis/tailoring');
+const { enforceTranslationGuardrails, pairTranslation } = require('../analysis/translation');
+const { validateLetter, enforceLetterGuardrails } = require('../analysis/cover-letter');
+const { estimateTokens, chunkBudget, splitResumeText, mergeResumes } = require('./chunking');
+const { log } = require('./log');
+
+// JSON structure the model is asked to return (see schema/resume.js)
+const RESUME_JSON_STRUCTURE = `{
+    "schemaVersion": ${SCHEMA_VERSION},
+    "name": "FULL NAME IN CAPS",
+    "location": "City, Country",
+    "phone": "+XX XXXXXXXXXX",
+    "email": "email@example.com",
+    "links": [
+        { "label": "LinkedIn/GitHub/Portfolio/Website", "url": "https://..." }
+    ],
+    "summary": ["paragraph1", "paragraph2"],
+    "experience": [
+        {
+            "title": "Job Title",
+            "dates": "MMM YYYY – Present/MMM YYYY",
+            "company": "Company Name, Location",
+            "responsibilities": ["responsibility1", "responsibility2", "..."]
+        }
+    ],
+    "education": [
+        {
+            "degree": "Degree Name",
+            "institution": "Institution Name, Location",
+            "year": "YYYY or Pursuing"
+        }
+    ],
+    "projects": [
+        {
+            "name": "Project Name",
+            "role": "Role on the project",
+            "dates": "MMM YYYY – MMM YYYY",
+            "url": "https://...",
+            "description": "One-line description",
+            "highlights": ["highlight1", "highlight2"]
+        }
+    ],
+    "publications": [
+        {
+            "title": "Publication Title",
+            "publisher": "Journal, Conference or Publisher",
+            "date": "MMM YYYY",
+            "url": "https://..."
+        }
+    ],
+    "volunteering": [
+        {
+            "role": "Volunteer Role",
+            "organization": "Organization Name",
+            "dates": "MMM YYYY – Present/MMM YYYY",
+            "highlights": ["highlight1", "highlight2"]
+        }
+    ],
+    "certifications": ["cert1", "cert2"],
+    "skills": {
+        "technical": "comma-separated skills",
+        "core": "comma-separated competencies"
+    },
+    "achievements": ["achievement1", "achievement2"],
+    "awards": [
+        {
+            "title": "Award Name",
+            "issuer": "Awarding Organization",
+            "date": "MMM YYYY",
+            "description": "What it was awarded for"
+        }
+    ],
+    "languages": [
+        { "language": "Language1", "proficiency": "Native/Fluent/Intermediate/Basic or CEFR level" }
+    ],
+    "references": [
+        {
+            "name": "Referee Name",
+            "position": "Job Title, Company",
+            "contact": "email or phone",
+            "note": "Relationship or other detail"
+        }
+    ],
+    "personal": {
+        "nationality": "Country",
+        "visaStatus": "Status if mentioned",
+        "other": ["other detail 1", "other detail 2"]
+    }
+}`;
+
+// Number of times invalid model output is sent back for correction
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Function to call the configured LLM provider - long resumes are extracted in parts and merged
+async function callLLM(llm, resumeText, onStage = () => {}) {
+    const parts = splitResumeText(resumeText, chunkBudget(llm));
+    if (parts.length > 1) {
+        log(`Resume is too long for one request (~${estimateTokens(resumeText)} tokens) - extracting in ${parts.length} parts`);
+    }
+
+    const warnings = [];
+    const resumes = await extractParts(llm, parts, parts.length > 1, onStage, warnings);
+    if (resumes.length === 1) {
+        return { resume: resumes[0], chunks: 1, warnings };
+    }
+
+    const { resume, errors } = validateResume(mergeResumes(resumes));
+    if (errors.length > 0) {
+        throw createValidationError(errors, 'The merged resume parts failed validation');
+    }
+    return { resume, chunks: resumes.length, warnings };
+}
+
+// Extract each part in order. A part whose answer is cut off at the output limit is split
+// in two and extracted again, as long as it can still be split at a section or role boundary
+async function extractParts(llm, parts, partial, onStage, warnings) {
+    const resumes = [];
+    for (let index = 0; index < parts.length; index++) {
+        if (parts.length > 1) {
+            onStage('chunking', `Extracting part ${index + 1} of ${parts.length}`);
+        }
+        const halves = splitResumeText(parts[index], Math.ceil(parts[index].length / 2));
+        try {
+            const { resume, warnings: partWarnings } = await requestResume(llm, buildExtractionPrompt(parts[index], partial), parts[index], onStage, {
+                stopOnTruncation: halves.length > 1
+            });
+            resumes.push(resume);
+            warnings.push(...partWarnings);
+        } catch (error) {
+            if (error.code !== 'output_truncated') {
+                throw error;
+            }
+            log(`Model output was truncated - retrying in ${halves.length} smaller parts`);
+            warnings.push(`The model's answer was cut off at the ${llm.maxTokens}-token output limit, so ${partial ? 'one part' : 'the resume'} was extracted again in ${halves.length} smaller parts`);
+            resumes.push(...await extractParts(llm, halves, true, onStage, warnings));
+        }
+    }
+    return resumes;
+}
+
+// Extraction prompt for the whole resume, or for one part of a long one
+function buildExtractionPrompt(resumeText, partial = false) {
+    return `Convert the following resume to a specific template format. Extract ALL information and return it as a JSON object with this EXACT structure:
+
+${RESUME_JSON_STRUCTURE}
+
+IMPORTANT RULES:
+- Extract ALL information from the resume
+- Convert name to ALL CAPS
+- Keep professional summary in exactly 2 paragraphs (combine if more, split if one)
+- Include ALL job experiences with ALL bullet points
+- Preserve ALL dates and details exactly as mentioned
+- Put LinkedIn, GitHub, portfolio and other profile URLs in "links", and project or publication URLs on their entry - never in "personal.other"
+- Put named awards and honours with a date or awarding body in "awards"; other accomplishments stay in "achievements"
+- If a section doesn't exist, use empty array or empty string
+- Return ONLY the JSON object, no other text or markdown
+${partial ? `
+This is one part of a long resume. The name and contact lines are repeated
+in every part; extract the other sections only from the text in this part and use empty arrays or strings
+for anything that does not appear in it. Do not summarise or shorten anything.
+` : ''}
+Resume to convert:
+${resumeText}`;
+}
+
+// Tailor extracted resume data to a job description without changing the facts
+async function tailorResume(llm, resumeData, resumeText, jobDescription, onStage = () => {}) {
+    const prompt = `Tailor the following resume JSON to the job description below. Return a JSON object with this EXACT structure:
+
+${RESUME_JSON_STRUCTURE}
+
+IMPORTANT RULES:
+- Reorder each job's responsibilities so the ones most relevant to the job come first
+- Reword responsibilities to use the job description's terminology where it truthfully applies
+- Put the most relevant skills first in skills.technical and skills.core, using only skills already present in the resume
+- Rewrite the summary as exactly 2 paragraphs aimed at this role
+- Keep every job in the same order with the same title, company and dates
+- NEVER invent employers, job titles, dates, degrees, certifications, skills or figures
+- Keep links, education, projects, publications, volunteering, certifications, achievements, awards, languages, references and personal details exactly as they are
+- Return ONLY the JSON object, no other text or markdown
+
+Job description:
+${jobDescription}
+
+Resume JSON:
+${JSON.stringify(resumeData, null, 2)}`;
+
+    log('Tailoring resume to job description...');
+    onStage('tailoring', 'Tailoring the resume to the job description');
+    const { resume: tailoredData, warnings: responseWarnings } = await requestResume(llm, prompt, JSON.stringify(resumeData, null, 2), onStage);
+    const { resume, warnings } = enforceTailoringGuardrails(resumeData, tailoredData, resumeText);
+
+    return {
+        resume,
+        tailoring: { ...diffTailoredResume(resumeData, resume), warnings: [...responseWarnings, ...warnings] }
+    };
+}
+
+// Translate extracted (or tailored) resume data into language (see renderers/labels.js),
+// keeping names, organisations, certifications, dates and contact details as they are
+async function translateResume(llm, resumeData, language, onStage = () => {}) {
+    const prompt = `Translate the following resume JSON into ${language.name}. Return a JSON object with this EXACT structure:
+
+${RESUME_JSON_STRUCTURE}
+
+IMPORTANT RULES:
+- Translate the summary, job titles, responsibilities, degrees, project and volunteering details, skills, achievements, award titles and descriptions, languages and personal details into ${language.name}
+- Keep these EXACTLY as they are, untranslated: the candidate's name, phone, email and links, company, institution and organization names, certifications, project names, publication titles and publishers, referee names and contact details, and every date and year
+- Keep every entry, bullet and summary paragraph in the same order and number - never add, merge, split or drop anything
+- Keep figures, product names and technical terms (e.g. software and tools) as they are
+- Use the wording a recruiter working in ${language.name} would expect on a CV
+- Return ONLY the JSON object, no other text or markdown
+
+Resume JSON:
+${JSON.stringify(resumeData, null, 2)}`;
+
+    log(`Translating resume to ${language.name}...`);
+    onStage('translating', `Translating the resume to ${language.name}`);
+    const { resume: translatedData, warnings: responseWarnings } = await requestResume(llm, prompt, JSON.stringify(resumeData, null, 2), onStage);
+    const { resume, warnings } = enforceTranslationGuardrails(resumeData, translatedData);
+
+    return {
+        resume,
+        translation: {
+            language: language.code,
+            direction: language.direction,
+            original: resumeData,
+            fields: pairTranslation(resumeData, resume),
+            warnings: [...responseWarnings, ...warnings]
+        }
+    };
+}
+
+// Cover letter JSON structure the model is asked to return (see analysis/cover-letter.js)
+const COVER_LETTER_JSON_STRUCTURE = `{
+    "company": "<company name exactly as the job description writes it, or empty>",
+    "role": "<job title exactly as the job description writes it>",
+    "subject": "Application for <job title from the job description>",
+    "greeting": "Dear Hiring Manager,",
+    "paragraphs": ["paragraph1", "paragraph2", "..."],
+    "closing": "Kind regards,"
+}`;
+
+// Write a cover letter for the job from the resume data alone. style carries the tone and
+// length (see pipeline/cover-letter.js) and the language to write in
+async function writeCoverLetter(llm, resumeData, jobDescription, style, onStage = () => {}) {
+    const prompt = `Write a cover letter from the candidate below for the job description below. Return a JSON object with this EXACT structure:
+
+${COVER_LETTER_JSON_STRUCTURE}
+
+IMPORTANT RULES:
+- Write in ${style.language.name}, in a ${style.tone.description} tone
+- Write ${style.length.paragraphs} paragraphs of about ${style.length.words} words in total
+- Use ONLY facts found in the resume JSON: employers, job titles, dates, degrees, certifications, skills, figures and achievements
+- NEVER invent experience, employers, figures, qualifications or skills, and do not claim the candidate meets a requirement the resume does not show
+- The job description only supplies the company and role: name them exactly as in the company and role fields, and take nothing else from it into the paragraphs
+- Do not include addresses, the date or a signature - they are added to the letter separately
+- Return ONLY the JSON object, no other text or markdown
+
+Job description:
+${jobDescription}
+
+Resume JSON:
+${JSON.stringify(resumeData, null, 2)}`;
+
+    log('Writing cover letter...');
+    onStage('writing', 'Writing the cover letter');
+    const warnings = [];
+    const send = async (text) => {
+        const response = await complete(llm, text);
+        if (response.finishReason === 'length') {
+            warnings.push(`The model's answer was cut off at the ${llm.maxTokens}-token output limit - the letter may be incomplete`);
+        }
+        return response.text;
+    };
+
+    let responseText = await send(prompt);
+    for (let attempt = 0; ; attempt++) {
+        const data = parseJson(responseText);
+        const { letter, errors } = data === undefined
+            ? { letter: null, errors: [{ path: '', message: 'response is not valid JSON' }] }
+            : validateLetter(data);
+        if (errors.length === 0) {
+            const checked = enforceLetterGuardrails(letter, resumeData, jobDescription);
+            if (checked.letter.paragraphs.length === 0) {
+                const error = new Error('Nothing was left of the cover letter after removing statements not backed by the resume');
+                error.status = 422;
+                error.details = checked.warnings.map(message => ({ path: 'paragraphs', message }));
+                throw error;
+            }
+            return { letter: checked.letter, warnings: [...warnings, ...checked.warnings] };
+        }
+
+        if (attempt >= MAX_REPAIR_ATTEMPTS) {
+            throw createValidationError(errors, 'The model returned a cover letter that failed validation');
+        }
+
+        log(`Cover letter failed validation (${errors.length} problems) - requesting repair`);
+        responseText = await send(`Your previous answer did not match the required cover letter JSON structure. These problems were found:
+
+${formatErrors(errors)}
+
+Return the corrected JSON object with this EXACT structure:
+
+${COVER_LETTER_JSON_STRUCTURE}
+
+Return ONLY the JSON object, no other text or markdown.
+
+Your previous answer:
+${responseText}`);
+    }
+}
+
+// Send a prompt and return validated resume data, asking the model to repair invalid output.
+// Answers cut off at the output limit (finishReason 'length') are reported as warnings, or
+// fail with code 'output_truncated' when options.stopOnTruncation is set
+async function requestResume(llm, prompt, sourceText, onStage = () => {}, options = {}) {
+    const warnings = [];
+    const send = async (text) => {
+        const response = await complete(llm, text);
+        if (response.finishReason === 'length') {
+            if (options.stopOnTruncation) {
+                const error = new Error(`The model's answer was cut off at the ${llm.maxTokens}-token output limit`);
+                error.status = 502;
+                error.code = 'output_truncated';
+                throw error;
+            }
+            warnings.push(`The model's answer was cut off at the ${llm.maxTokens}-token output limit - later entries may be missing`);
+        }
+        return response.text;
+    };
+
+    try {
+        onStage('calling-llm', `Calling the ${llm.provider} model (${llm.model})`);
+        let responseText = await send(prompt);
+
+        for (let attempt = 0; ; attempt++) {
+            onStage('validating', 'Validating the model output against the resume schema');
+            const { resume, errors } = parseResumeResponse(responseText);
+            if (errors.length === 0) {
+                return { resume, warnings };
+            }
+
+            if (attempt >= MAX_REPAIR_ATTEMPTS) {
+                throw createValidationError(errors, 'The model returned resume data that failed validation');
+            }
+
+            log(`Model output failed validation (${errors.length} problems) - requesting repair`);
+            onStage('calling-llm', `Asking the model to repair ${errors.length} validation problem(s)`);
+            responseText = await send(buildRepairPrompt(sourceText, responseText, errors));
+        }
+
+    } catch (error) {
+        console.error('LLM API error:', error);
+        throw error;
+    }
+}
+
+// Parse and validate the model's response text
+function parseResumeResponse(responseText) {
+    const data = parseJson(responseText);
+    if (data === undefined) {
+        return { resume: null, errors: [{ path: '', message: 'response is not valid JSON' }] };
+    }
+    return validateResume(data);
+}
+
+// The JSON object in the model's response, or undefined when there is none
+function parseJson(responseText) {
+    try {
+        return JSON.parse(responseText);
+    } catch (e) {
+        // Try to extract JSON if wrapped in markdown
+        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+        try {
+            return jsonMatch ? JSON.parse(jsonMatch[0]) : undefined;
+        } catch (e) {
+            return undefined;
+        }
+    }
+}
+
+// Ask the model to fix its own output using the validation errors
+function buildRepairPrompt(resumeText, responseText, errors) {
+    return `Your previous answer did not match the required resume JSON structure. These problems were found:
+
+${formatErrors(errors)}
+
+Return the corrected JSON object with this EXACT structure:
+
+${RESUME_JSON_STRUCTURE}
+
+RULES:
+- Fix only the problems listed above and keep every other value as it was
+- Take missing values from the resume text below; never invent information
+- Return ONLY the JSON object, no other text or markdown
+
+Your previous answer:
+${responseText}
+
+Resume text:
+${resumeText}`;
+}
+
+module.exports = {
+    callLLM,
+    tailorResume,
+    translateResume,
+    writeCoverLetter
+};
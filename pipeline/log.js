@@ -0,0 +1,18 @@
+// Progress messages from the conversion pipeline. The server prints them to its console;
+// the resume-convert CLI silences them (unless --verbose) to print one line per file
+let quiet = false;
+
+function setQuiet(value) {
+    quiet = Boolean(value);
+}
+
+function log(message) {
+    if (!quiet) {
+        console.log(message);
+    }
+}
+
+module.exports = {
+    log,
+    setQuiet
+};
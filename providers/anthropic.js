@@ -0,0 +1,59 @@
+// Anthropic Messages API
+async function complete({ baseUrl, apiKey, model, temperature, maxTokens, prompt, signal }) {
+    const fetch = (await import('node-fetch')).default;
+
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/v1/messages`, {
+        method: 'POST',
+        signal,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+            model,
+            messages: [{
+                role: 'user',
+                content: prompt
+            }],
+            temperature,
+            max_tokens: maxTokens
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
+        throw new Error(`Anthropic API error: ${errorMessage}`);
+    }
+
+    const data = await response.json();
+    const text = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+    const inputTokens = data.usage?.input_tokens || 0;
+    const outputTokens = data.usage?.output_tokens || 0;
+
+    return {
+        text,
+        // Normalise to the OpenAI vocabulary so callers only check one value
+        finishReason: data.stop_reason === 'max_tokens' ? 'length' : (data.stop_reason ? 'stop' : null),
+        usage: {
+            promptTokens: inputTokens,
+            completionTokens: outputTokens,
+            totalTokens: inputTokens + outputTokens
+        }
+    };
+}
+
+module.exports = {
+    id: 'anthropic',
+    label: 'Anthropic',
+    defaultModel: 'claude-3-5-haiku-latest',
+    defaultBaseUrl: 'https://api.anthropic.com',
+    requiresApiKey: true,
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    complete
+};
@@ -0,0 +1,198 @@
+// LLM provider registry - resolves which model handles a request
+const dns = require('dns').promises;
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const openai = require('./openai');
+const anthropic = require('./anthropic');
+const openaiCompatible = require('./openai-compatible');
+const mock = require('./mock');
+const { log } = require('../pipeline/log');
+
+const registry = new Map([openai, anthropic, openaiCompatible, mock].map(provider => [provider.id, provider]));
+
+const DEFAULT_MAX_TOKENS = 4000;
+const DEFAULT_TEMPERATURE = 0.3;
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// ALLOW_CLIENT_API_KEYS=false keeps the provider keys on the server: requests may no
+// longer bring their own key, or point a self-hosted provider at another server
+function clientKeysAllowed() {
+    return process.env.ALLOW_CLIENT_API_KEYS !== 'false';
+}
+
+// Loopback, private, link-local and carrier-grade NAT addresses a client-supplied base URL
+// may not reach
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+        return isPrivateAddress(mapped[1]);
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+// OPENAI_COMPATIBLE_ALLOWED_HOSTS (comma-separated) lists the only hosts requests may point
+// a self-hosted provider at - these may be private, e.g. an Ollama server on the same network
+function allowedHosts() {
+    return (process.env.OPENAI_COMPATIBLE_ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Check a base URL sent with a request. Without an allow-list, loopback and private hosts
+// are refused here by name and again by resolved address before each call
+function checkClientBaseUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw badRequest('Base URL must be a valid http(s) URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw badRequest('Base URL must be a valid http(s) URL');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const allowed = allowedHosts();
+    if (allowed.length > 0) {
+        if (!allowed.includes(hostname)) {
+            const error = badRequest(`Base URL host ${hostname} is not allowed on this server`);
+            error.code = 'base_url_not_allowed';
+            throw error;
+        }
+        return { baseUrl: value, checkAddress: false };
+    }
+
+    if (hostname === 'localhost' || /\.(localhost|local|internal)$/.test(hostname) ||
+        (net.isIP(hostname) && isPrivateAddress(hostname))) {
+        const error = badRequest('Base URL may not point at a loopback or private address');
+        error.code = 'base_url_not_allowed';
+        throw error;
+    }
+    return { baseUrl: value, checkAddress: true };
+}
+
+// A public host name can still resolve to a private address, so the host is resolved and
+// checked here and the request is pinned to that address - a second lookup (DNS rebinding)
+// or a redirect cannot take it anywhere else. Returns the extra fetch options
+async function pinPublicAddress(baseUrl) {
+    const url = new URL(baseUrl);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = await dns.lookup(hostname, { all: true }).catch(() => []);
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+        const error = badRequest(addresses.length === 0
+            ? `Base URL host ${hostname} could not be resolved`
+            : 'Base URL may not point at a loopback or private address');
+        error.code = 'base_url_not_allowed';
+        throw error;
+    }
+
+    const { address, family } = addresses[0];
+    const lookup = (host, options, callback) => (options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family));
+    const Agent = url.protocol === 'https:' ? https.Agent : http.Agent;
+    return { redirect: 'error', agent: new Agent({ lookup }) };
+}
+
+function getProvider(id) {
+    const provider = registry.get(id);
+    if (!provider) {
+        throw badRequest(`Unknown LLM provider: ${id}`);
+    }
+    return provider;
+}
+
+// Merge per-request options over server config (LLM_* environment variables)
+function resolveLLMConfig(options = {}) {
+    const serverProvider = process.env.LLM_PROVIDER || openai.id;
+    const provider = getProvider(options.provider || serverProvider);
+
+    if (!clientKeysAllowed() && (options.apiKey || options.baseUrl)) {
+        const error = badRequest('This server uses its own provider credentials - remove the API key and base URL from the request');
+        error.code = 'client_credentials_not_allowed';
+        throw error;
+    }
+
+    const temperature = parseFloat(options.temperature ?? process.env.LLM_TEMPERATURE ?? DEFAULT_TEMPERATURE);
+    if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+        throw badRequest('Temperature must be a number between 0 and 2');
+    }
+
+    // Only self-hosted endpoints may be pointed somewhere else per request, and then only
+    // with the caller's own key - the server's keys go to the server's endpoints alone
+    const clientUrl = provider.allowCustomBaseUrl && options.baseUrl ? checkClientBaseUrl(options.baseUrl) : null;
+    if (clientUrl && !options.apiKey) {
+        const error = badRequest('A custom base URL needs its own API key');
+        error.code = 'missing_api_key';
+        throw error;
+    }
+
+    const baseUrl = clientUrl ? clientUrl.baseUrl
+        : process.env[`${provider.id.toUpperCase().replace(/-/g, '_')}_BASE_URL`] || provider.defaultBaseUrl;
+
+    const apiKey = options.apiKey || (provider.apiKeyEnv && process.env[provider.apiKeyEnv]) || process.env.LLM_API_KEY;
+    if (provider.requiresApiKey && !apiKey) {
+        const error = badRequest('API key is required');
+        error.code = 'missing_api_key';
+        throw error;
+    }
+
+    return {
+        provider: provider.id,
+        model: options.model || (provider.id === serverProvider && process.env.LLM_MODEL) || provider.defaultModel,
+        temperature,
+        maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || DEFAULT_MAX_TOKENS,
+        baseUrl,
+        apiKey,
+        checkAddress: Boolean(clientUrl && clientUrl.checkAddress)
+    };
+}
+
+// Send a prompt through the configured provider. config.onUsage receives the token
+// counts the provider reported for the call
+async function complete(config, prompt) {
+    const provider = getProvider(config.provider);
+    const fetchOptions = config.checkAddress ? await pinPublicAddress(config.baseUrl) : {};
+    log(`Calling ${provider.label} API (${config.model})...`);
+    const response = await provider.complete({ ...config, prompt, fetchOptions });
+    if (config.onUsage) {
+        config.onUsage(response.usage);
+    }
+    return response;
+}
+
+// Provider summaries for the frontend settings panel
+function listProviders() {
+    return Array.from(registry.values()).map(provider => ({
+        id: provider.id,
+        label: provider.label,
+        defaultModel: provider.defaultModel,
+        defaultBaseUrl: provider.defaultBaseUrl,
+        requiresApiKey: provider.requiresApiKey,
+        serverKeyConfigured: Boolean((provider.apiKeyEnv && process.env[provider.apiKeyEnv]) || process.env.LLM_API_KEY),
+        allowCustomBaseUrl: Boolean(provider.allowCustomBaseUrl) && clientKeysAllowed()
+    }));
+}
+
+module.exports = {
+    clientKeysAllowed,
+    resolveLLMConfig,
+    complete,
+    listProviders
+};
@@ -0,0 +1,47 @@
+// Deterministic offline provider - answers every prompt with a fixture file
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = process.env.MOCK_FIXTURE_DIR || path.join(__dirname, 'fixtures');
+
+async function complete({ model, prompt, signal }) {
+    if (signal && signal.aborted) {
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        throw error;
+    }
+
+    const fixtureName = path.basename(model || 'resume');
+    const fixturePath = path.join(FIXTURE_DIR, `${fixtureName}.json`);
+
+    if (!fs.existsSync(fixturePath)) {
+        const error = new Error(`Mock fixture not found: ${fixtureName}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const text = fs.readFileSync(fixturePath, 'utf-8');
+    // Rough 4-characters-per-token estimate keeps usage figures plausible
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+
+    return {
+        text,
+        finishReason: 'stop',
+        usage: {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+        }
+    };
+}
+
+module.exports = {
+    id: 'mock',
+    label: 'Mock',
+    defaultModel: 'resume',
+    defaultBaseUrl: '',
+    requiresApiKey: false,
+    apiKeyEnv: null,
+    complete
+};
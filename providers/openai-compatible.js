@@ -0,0 +1,13 @@
+// Any server exposing the OpenAI chat completions API (Ollama, vLLM, LM Studio...)
+const { createChatCompletion } = require('./openai');
+
+module.exports = {
+    id: 'openai-compatible',
+    label: 'OpenAI-compatible',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresApiKey: false,
+    apiKeyEnv: null,
+    allowCustomBaseUrl: true,
+    complete: (options) => createChatCompletion({ ...options, label: 'OpenAI-compatible' })
+};
@@ -0,0 +1,59 @@
+// OpenAI chat completions - also used for any OpenAI-compatible server. fetchOptions carries
+// the redirect policy and pinned agent for client-supplied base URLs
+async function createChatCompletion({ baseUrl, apiKey, model, temperature, maxTokens, prompt, signal, fetchOptions = {}, label = 'OpenAI' }) {
+    const fetch = (await import('node-fetch')).default;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        ...fetchOptions,
+        method: 'POST',
+        signal,
+        headers,
+        body: JSON.stringify({
+            model,
+            messages: [{
+                role: 'user',
+                content: prompt
+            }],
+            temperature,
+            max_tokens: maxTokens
+        })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
+        throw new Error(`${label} API error: ${errorMessage}`);
+    }
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    if (!choice) {
+        throw new Error(`${label} API error: response contained no choices`);
+    }
+
+    return {
+        text: choice.message?.content || '',
+        finishReason: choice.finish_reason || null,
+        usage: {
+            promptTokens: data.usage?.prompt_tokens || 0,
+            completionTokens: data.usage?.completion_tokens || 0,
+            totalTokens: data.usage?.total_tokens || 0
+        }
+    };
+}
+
+module.exports = {
+    id: 'openai',
+    label: 'OpenAI',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresApiKey: true,
+    apiKeyEnv: 'OPENAI_API_KEY',
+    complete: (options) => createChatCompletion({ ...options, label: 'OpenAI' }),
+    createChatCompletion
+};
@@ -0,0 +1,326 @@
+// Word renderer - lays the resume out with the template's fonts, spacing and headings
+const { Document, Packer, Paragraph, TextRun, ExternalHyperlink, AlignmentType, LevelFormat, Tab, TabStopType, Footer, PageNumber } = require('docx');
+const { buildLayout } = require('./layout');
+
+const alignments = {
+    left: AlignmentType.LEFT,
+    center: AlignmentType.CENTER,
+    right: AlignmentType.RIGHT
+};
+
+// Function to generate Word document using a layout from the template registry.
+// options.placeholders: false drops the "Location"/"To be added" stand-ins for empty fields;
+// options.language picks the heading and label language. Page size, fonts, date alignment
+// and page numbers come from the template (see layout-options.js for per-request changes)
+async function generateWordDocument(data, template, options = {}) {
+    const layout = buildLayout(data, template, options);
+    const { direction } = layout;
+    const rtl = direction === 'rtl';
+
+    const doc = new Document({
+        styles: documentStyles(template, layout, options),
+        numbering: {
+            config: [{
+                reference: "bullet-list",
+                levels: [{
+                    level: 0,
+                    format: LevelFormat.BULLET,
+                    text: template.bullet.text,
+                    alignment: rtl ? AlignmentType.START : AlignmentType.LEFT,
+                    style: {
+                        paragraph: {
+                            // Right-to-left bullets hang from the right margin
+                            indent: rtl
+                                ? { start: template.bullet.indent.left, hanging: template.bullet.indent.hanging }
+                                : template.bullet.indent
+                        }
+                    }
+                }]
+            }]
+        },
+        sections: [{
+            properties: {
+                page: {
+                    size: template.page.size,
+                    margin: template.page.margin
+                }
+            },
+            footers: template.footer && template.footer.pageNumbers ? { default: pageNumberFooter(template, direction) } : undefined,
+            children: [
+                ...buildHeader(layout.header, template, direction),
+                ...layout.sections.flatMap(section => [
+                    ...sectionHeading(section.heading, template, direction),
+                    ...sectionBuilders[section.type](section, template, direction)
+                ])
+            ]
+        }]
+    });
+
+    return await Packer.toBuffer(doc);
+}
+
+// Cover letter in the resume's typography - the same header block, then the date,
+// recipient and subject lines, the letter itself and the candidate's name.
+// letter: { date, recipient[], subject, greeting, paragraphs[], closing }
+async function generateCoverLetter(letter, data, template, options = {}) {
+    const layout = buildLayout(data, template, { ...options, placeholders: false });
+    const { direction } = layout;
+    const line = (text, after, runOptions = {}) => paragraph({
+        spacing: { after },
+        children: [bodyRun(text, template, runOptions)]
+    }, direction);
+
+    const recipient = letter.recipient || [];
+    const doc = new Document({
+        styles: documentStyles(template, layout, options),
+        sections: [{
+            properties: {
+                page: {
+                    size: template.page.size,
+                    margin: template.page.margin
+                }
+            },
+            children: [
+                ...buildHeader(layout.header, template, direction),
+                line(letter.date, recipient.length > 0 ? template.spacing.summaryEnd : template.spacing.headingAfter),
+                ...recipient.map((text, index) => line(text, index === recipient.length - 1 ? template.spacing.headingAfter : 0)),
+                ...(letter.subject ? [line(letter.subject, template.spacing.headingAfter, { bold: true })] : []),
+                line(letter.greeting, template.spacing.paragraph),
+                ...letter.paragraphs.map(text => paragraph({
+                    alignment: AlignmentType.JUSTIFIED,
+                    spacing: { after: template.spacing.summaryEnd },
+                    children: [bodyRun(text, template)]
+                }, direction)),
+                line(letter.closing, template.spacing.summaryEnd * 2),
+                line(signatureName(layout.header.name), 0, { bold: true })
+            ]
+        }]
+    });
+
+    return await Packer.toBuffer(doc);
+}
+
+// Names extracted in capitals are signed in title case ("ALEX MORGAN" -> "Alex Morgan")
+function signatureName(name) {
+    if (name !== name.toUpperCase()) {
+        return name;
+    }
+    return name.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// The template's font plus the proofing language - complex-script languages are tagged
+// as bidirectional
+function documentStyles(template, layout, options) {
+    const language = layout.direction === 'rtl' ? { bidirectional: layout.locale } : { value: layout.locale };
+    return {
+        default: {
+            document: {
+                run: {
+                    ...(template.fonts.family ? { font: template.fonts.family } : {}),
+                    ...(options.language ? { language } : {})
+                }
+            }
+        }
+    };
+}
+
+// Right-to-left paragraphs are bidirectional, so Word lays them out from the right margin
+function paragraph(options, direction) {
+    return new Paragraph(direction === 'rtl' ? { ...options, bidirectional: true } : options);
+}
+
+// A left or right aligned header follows the reading direction
+function headerAlignment(template, direction) {
+    const alignment = template.header.alignment || 'center';
+    if (direction === 'rtl' && alignment !== 'center') {
+        return alignment === 'left' ? AlignmentType.START : AlignmentType.END;
+    }
+    return alignments[alignment] || AlignmentType.CENTER;
+}
+
+// Body text run in the template's size
+function bodyRun(text, template, options = {}) {
+    return new TextRun({
+        text,
+        size: template.fonts.size,
+        ...options
+    });
+}
+
+// Body text that opens the url when clicked, in Word's hyperlink style
+function linkRun(text, url, template, options = {}) {
+    return new ExternalHyperlink({
+        link: url,
+        children: [bodyRun(text, template, { ...options, style: 'Hyperlink' })]
+    });
+}
+
+// Section heading - omitted when the template leaves the heading blank
+function sectionHeading(text, template, direction) {
+    if (!text) {
+        return [];
+    }
+
+    return [
+        paragraph({
+            spacing: { before: template.spacing.headingBefore, after: template.spacing.headingAfter },
+            children: [
+                new TextRun({
+                    text,
+                    size: template.fonts.headingSize,
+                    bold: template.headingStyle.bold,
+                    color: template.headingStyle.color || undefined,
+                    underline: template.headingStyle.underline ? {} : undefined,
+                    font: template.fonts.headingFamily || undefined
+                })
+            ]
+        }, direction)
+    ];
+}
+
+function bulletParagraph(text, after, template, direction) {
+    return paragraph({
+        numbering: { reference: "bullet-list", level: 0 },
+        spacing: { after },
+        children: [bodyRun(text, template)]
+    }, direction);
+}
+
+// Centred page number in the template's body size
+function pageNumberFooter(template, direction) {
+    return new Footer({
+        children: [
+            paragraph({
+                alignment: AlignmentType.CENTER,
+                children: [new TextRun({ children: [PageNumber.CURRENT], size: template.fonts.size })]
+            }, direction)
+        ]
+    });
+}
+
+// Width between the page margins - where a right-aligned tab stop sits
+function contentWidth(template) {
+    return template.page.size.width - template.page.margin.left - template.page.margin.right;
+}
+
+// Title line of an entry: the dates sit on a tab stop at the far margin (the end of the
+// line for right-to-left text), or follow the title when the template puts them inline
+function entryTitleParagraph(entry, after, template, direction) {
+    const title = entry.url ? linkRun(entry.title, entry.url, template, { bold: true }) : bodyRun(entry.title, template, { bold: true });
+    if (!entry.dates) {
+        return paragraph({ spacing: { after }, children: [title] }, direction);
+    }
+
+    if (template.dates && template.dates.alignment === 'inline') {
+        return paragraph({
+            spacing: { after },
+            children: [title, bodyRun(` | ${entry.dates}`, template)]
+        }, direction);
+    }
+
+    return paragraph({
+        spacing: { after },
+        tabStops: [{ type: direction === 'rtl' ? TabStopType.END : TabStopType.RIGHT, position: contentWidth(template) }],
+        children: [title, new TextRun({ children: [new Tab(), entry.dates], size: template.fonts.size })]
+    }, direction);
+}
+
+// Name, location/phone, email and profile links block
+function buildHeader(header, template, direction) {
+    const alignment = headerAlignment(template, direction);
+    const contact = header.contact.join(template.header.contactSeparator);
+    const hasLinks = header.links.length > 0;
+
+    return [
+        paragraph({
+            alignment,
+            spacing: { after: template.spacing.name },
+            children: [
+                new TextRun({
+                    text: header.name,
+                    size: template.fonts.nameSize,
+                    bold: true,
+                    font: template.fonts.headingFamily || undefined
+                })
+            ]
+        }, direction),
+        ...(contact ? [paragraph({
+            alignment,
+            spacing: { after: template.spacing.contact },
+            children: [bodyRun(contact, template)]
+        }, direction)] : []),
+        ...(header.email ? [paragraph({
+            alignment,
+            spacing: { after: hasLinks ? template.spacing.contact : template.spacing.email },
+            children: [
+                bodyRun(header.email, template, {
+                    underline: template.header.underlineEmail ? {} : undefined
+                })
+            ]
+        }, direction)] : []),
+        ...(hasLinks ? [paragraph({
+            alignment,
+            spacing: { after: template.spacing.email },
+            children: header.links.flatMap((link, index) => [
+                ...(index > 0 ? [bodyRun(template.header.contactSeparator, template)] : []),
+                linkRun(link.text, link.url, template)
+            ])
+        }, direction)] : [])
+    ];
+}
+
+const sectionBuilders = {
+    // Summary paragraphs
+    paragraphs: (section, template, direction) => section.paragraphs.map((para, index) =>
+        paragraph({
+            alignment: AlignmentType.JUSTIFIED,
+            spacing: { after: index === section.paragraphs.length - 1 ? template.spacing.summaryEnd : template.spacing.paragraph },
+            children: [bodyRun(para, template)]
+        }, direction)
+    ),
+
+    // Jobs, degrees, projects and the like - a bold title line (linked when the entry has a url),
+    // the company or institution, then any bullets
+    entries: (section, template, direction) => section.entries.flatMap((entry, entryIndex) => {
+        const lastEntry = entryIndex === section.entries.length - 1;
+        const afterSubtitle = entry.bullets.length > 0 ? template.spacing.company
+            : (lastEntry ? template.spacing.sectionEnd : template.spacing.entryGap);
+
+        return [
+            entryTitleParagraph(entry, entry.subtitle ? template.spacing.line : afterSubtitle, template, direction),
+            ...(entry.subtitle ? [paragraph({
+                spacing: { after: afterSubtitle },
+                children: [bodyRun(entry.subtitle, template)]
+            }, direction)] : []),
+            ...entry.bullets.map((bullet, bulletIndex) =>
+                bulletParagraph(bullet,
+                    bulletIndex === entry.bullets.length - 1 && !lastEntry ? template.spacing.entryGap : template.spacing.line,
+                    template, direction)
+            )
+        ];
+    }),
+
+    // Certifications, achievements, languages and personal details; the last item closes the section
+    bullets: (section, template, direction) => section.items.map((item, index) =>
+        bulletParagraph(item,
+            index === section.items.length - 1 && section.id !== 'personal' ? template.spacing.sectionEnd : template.spacing.line,
+            template, direction)
+    ),
+
+    // Skills - a bold label followed by the list
+    labelled: (section, template, direction) => section.items.map((item, index) =>
+        paragraph({
+            alignment: AlignmentType.JUSTIFIED,
+            spacing: { after: index === section.items.length - 1 ? template.spacing.sectionEnd : template.spacing.skillsLine },
+            children: [
+                bodyRun(`${item.label}: `, template, { bold: true }),
+                bodyRun(item.value, template)
+            ]
+        }, direction)
+    )
+};
+
+module.exports = {
+    generateWordDocument,
+    generateCoverLetter
+};
@@ -0,0 +1,152 @@
+// Standalone HTML renderer - inline CSS converted from the template's Word units
+const { buildLayout } = require('./layout');
+
+// Word measures spacing and pages in twips (1/20 pt) and font sizes in half-points
+const twips = (value) => `${value / 20}pt`;
+const halfPoints = (value) => `${value / 2}pt`;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function fontStack(family) {
+    return family ? `'${family}', Arial, sans-serif` : 'Calibri, Arial, sans-serif';
+}
+
+// Left and right follow the reading direction, so a right-to-left page mirrors the template
+function buildStyles(template, direction) {
+    const { page, fonts, spacing, headingStyle, header, bullet, footer } = template;
+    const alignment = direction === 'rtl' ? { left: 'right', right: 'left' }[header.alignment] || header.alignment : header.alignment;
+
+    return `
+        @page {
+            size: ${twips(page.size.width)} ${twips(page.size.height)};
+            margin: ${twips(page.margin.top)} ${twips(page.margin.right)} ${twips(page.margin.bottom)} ${twips(page.margin.left)};
+            ${footer && footer.pageNumbers ? `@bottom-center { content: counter(page); font-family: ${fontStack(fonts.family)}; font-size: ${halfPoints(fonts.size)}; }` : ''}
+        }
+        body { margin: 0; background: #f0f0f0; }
+        .page {
+            box-sizing: border-box;
+            width: ${twips(page.size.width)};
+            min-height: ${twips(page.size.height)};
+            margin: 0 auto;
+            padding: ${twips(page.margin.top)} ${twips(page.margin.right)} ${twips(page.margin.bottom)} ${twips(page.margin.left)};
+            position: relative;
+            background: #fff;
+            font-family: ${fontStack(fonts.family)};
+            font-size: ${halfPoints(fonts.size)};
+            line-height: 1.15;
+            color: #000;
+        }
+        p { margin: 0; }
+        header { text-align: ${alignment}; }
+        .name { font-size: ${halfPoints(fonts.nameSize)}; font-weight: bold; margin-bottom: ${twips(spacing.name)}; font-family: ${fontStack(fonts.headingFamily || fonts.family)}; }
+        .contact { margin-bottom: ${twips(spacing.contact)}; }
+        .email { margin-bottom: ${twips(spacing.email)}; ${header.underlineEmail ? 'text-decoration: underline;' : ''} }
+        .email.before-links { margin-bottom: ${twips(spacing.contact)}; }
+        .links { margin-bottom: ${twips(spacing.email)}; }
+        a { color: #0563C1; }
+        h2 {
+            margin: ${twips(spacing.headingBefore)} 0 ${twips(spacing.headingAfter)};
+            font-size: ${halfPoints(fonts.headingSize)};
+            font-weight: ${headingStyle.bold ? 'bold' : 'normal'};
+            font-family: ${fontStack(fonts.headingFamily || fonts.family)};
+            ${headingStyle.color ? `color: #${headingStyle.color};` : ''}
+            ${headingStyle.underline ? 'text-decoration: underline;' : ''}
+        }
+        .paragraph { text-align: justify; margin-bottom: ${twips(spacing.paragraph)}; }
+        .paragraph:last-of-type { margin-bottom: ${twips(spacing.summaryEnd)}; }
+        .entry { margin-bottom: ${twips(spacing.entryGap)}; }
+        .entry:last-of-type { margin-bottom: ${twips(spacing.sectionEnd)}; }
+        .entry-title { display: flex; justify-content: space-between; margin-bottom: ${twips(spacing.line)}; }
+        .entry-title strong { font-weight: bold; }
+        .entry-title:last-child { margin-bottom: ${twips(spacing.company)}; }
+        .entry-title.inline { display: block; }
+        .entry-subtitle { margin-bottom: ${twips(spacing.company)}; }
+        ul { margin: 0 0 ${twips(spacing.sectionEnd)}; padding-inline-start: ${twips(bullet.indent.left)}; list-style: none; }
+        li { margin-bottom: ${twips(spacing.line)}; position: relative; }
+        li::before { content: '${bullet.text}'; position: absolute; inset-inline-start: -${twips(bullet.indent.hanging)}; }
+        .labelled { text-align: justify; margin-bottom: ${twips(spacing.skillsLine)}; }
+        .labelled:last-of-type { margin-bottom: ${twips(spacing.sectionEnd)}; }
+        .page-number { position: absolute; left: 0; right: 0; top: ${twips(page.size.height - page.margin.bottom / 2)}; text-align: center; }
+        @media print { body { background: none; } .page { margin: 0; padding: 0; width: auto; min-height: 0; } .page-number { display: none; } }`;
+}
+
+function link(text, url) {
+    return `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+}
+
+// Dates at the far margin, or after the title when the template puts them inline
+function entryTitle(entry, template) {
+    const title = `<strong>${entry.url ? link(entry.title, entry.url) : escapeHtml(entry.title)}</strong>`;
+    if (!entry.dates) {
+        return `<p class="entry-title">${title}</p>`;
+    }
+    if (template.dates && template.dates.alignment === 'inline') {
+        return `<p class="entry-title inline">${title} | ${escapeHtml(entry.dates)}</p>`;
+    }
+    return `<p class="entry-title">${title}<span>${escapeHtml(entry.dates)}</span></p>`;
+}
+
+const sectionRenderers = {
+    paragraphs: (section) => section.paragraphs
+        .map(para => `<p class="paragraph">${escapeHtml(para)}</p>`)
+        .join('\n'),
+
+    entries: (section, template) => section.entries.map(entry => `<div class="entry">
+            ${entryTitle(entry, template)}
+            ${entry.subtitle ? `<p class="entry-subtitle">${escapeHtml(entry.subtitle)}</p>` : ''}
+            ${entry.bullets.length > 0 ? `<ul>${entry.bullets.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+        </div>`).join('\n'),
+
+    bullets: (section) => `<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`,
+
+    labelled: (section) => section.items
+        .map(item => `<p class="labelled"><strong>${escapeHtml(item.label)}:</strong> ${escapeHtml(item.value)}</p>`)
+        .join('\n')
+};
+
+// Full HTML document for the resume, laid out like the Word output. On screen the resume
+// is one long page, so only the first page number is drawn; printing numbers every page
+function renderHtml(data, template, options = {}) {
+    const layout = buildLayout(data, template, options);
+    const { header } = layout;
+    const contact = header.contact.join(template.header.contactSeparator);
+
+    const sections = layout.sections.map(section => `<section class="section-${section.id}">
+        ${section.heading ? `<h2>${escapeHtml(section.heading)}</h2>` : ''}
+        ${sectionRenderers[section.type](section, template)}
+    </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${layout.language}"${layout.direction === 'rtl' ? ' dir="rtl"' : ''}>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(header.name)}</title>
+    <style>${buildStyles(template, layout.direction)}
+    </style>
+</head>
+<body>
+    <main class="page">
+        <header>
+            <p class="name">${escapeHtml(header.name)}</p>
+            ${contact ? `<p class="contact">${escapeHtml(contact)}</p>` : ''}
+            ${header.email ? `<p class="email${header.links.length > 0 ? ' before-links' : ''}">${escapeHtml(header.email)}</p>` : ''}
+            ${header.links.length > 0 ? `<p class="links">${header.links.map(item => link(item.text, item.url)).join(escapeHtml(template.header.contactSeparator))}</p>` : ''}
+        </header>
+        ${sections}
+        ${template.footer && template.footer.pageNumbers ? '<footer class="page-number">1</footer>' : ''}
+    </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderHtml
+};
@@ -0,0 +1,113 @@
+// Output format registry - every format renders the same structured resume data
+const { generateWordDocument } = require('./docx');
+const { renderPdf, missingGlyphs } = require('./pdf');
+const { renderHtml } = require('./html');
+const { renderMarkdown } = require('./markdown');
+const { renderText } = require('./text');
+const { renderJsonResume } = require('./json-resume');
+const { getLanguage } = require('./labels');
+const { applyLayoutOptions, changedOptions } = require('./layout-options');
+const { fillBrandedTemplate } = require('../templates/branded');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const DEFAULT_FORMAT = 'docx';
+
+// pdfkit lays text out left to right only, so right-to-left languages need another format
+const LEFT_TO_RIGHT_FORMATS = ['pdf'];
+
+const formats = new Map([
+    ['docx', { label: 'Word document', extension: 'docx', contentType: DOCX_MIME, render: generateWordDocument }],
+    ['pdf', { label: 'PDF', extension: 'pdf', contentType: 'application/pdf', render: renderPdf }],
+    ['html', { label: 'HTML page', extension: 'html', contentType: 'text/html; charset=utf-8', render: renderHtml }],
+    ['markdown', { label: 'Markdown', extension: 'md', contentType: 'text/markdown; charset=utf-8', render: renderMarkdown }],
+    ['text', { label: 'Plain text (ATS-safe)', extension: 'txt', contentType: 'text/plain; charset=utf-8', render: renderText }],
+    ['json', { label: 'JSON Resume', extension: 'json', contentType: 'application/json; charset=utf-8', render: renderJsonResume }]
+].map(([id, format]) => [id, { id, ...format }]));
+
+// Look up a format; with a language code, also check the format can lay that language out
+function getFormat(id, languageCode) {
+    const format = formats.get(id || DEFAULT_FORMAT);
+    if (!format) {
+        const error = new Error(`Unknown output format: ${id}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const language = languageCode ? getLanguage(languageCode) : null;
+    if (language && language.direction === 'rtl' && LEFT_TO_RIGHT_FORMATS.includes(format.id)) {
+        const error = new Error(`${format.label} output does not support right-to-left languages such as ${language.name} - choose Word or HTML`);
+        error.status = 400;
+        throw error;
+    }
+    return format;
+}
+
+// Check the format can draw every character in the resume - without PDF_FONT, PDF output
+// is limited to the Latin text its built-in fonts cover
+function checkCharacters(format, data) {
+    if (format.id !== 'pdf') {
+        return;
+    }
+    const missing = missingGlyphs(data);
+    if (missing.length > 0) {
+        const examples = missing.slice(0, 5).map(char => `"${char}"`).join(', ');
+        const error = new Error(`${format.label} output cannot show characters such as ${examples} without a Unicode font (PDF_FONT) - choose Word or HTML`);
+        error.status = 400;
+        throw error;
+    }
+}
+
+// Branded templates keep the layout of the uploaded document, so layout options are
+// refused rather than dropped
+function checkTemplateLayout(template, layout) {
+    const changed = changedOptions(layout);
+    if (template.type === 'docx' && changed.length > 0) {
+        const error = new Error(`Branded templates keep their own layout - leave out the layout options (${changed.join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+}
+
+// Render resume data in the requested format. Branded .docx templates can only be
+// filled as Word documents; JSON Resume ignores layout altogether. options.language
+// picks the label set for headings (see labels.js); options.layout holds the checked
+// layout options (see layout-options.js), which can also turn placeholder text off
+async function renderResume(data, template, formatId, options = {}) {
+    const format = getFormat(formatId, options.language);
+    checkTemplateLayout(template, options.layout);
+
+    if (template.type === 'docx' && format.id !== 'json') {
+        if (format.id !== 'docx') {
+            const error = new Error(`Branded templates can only produce Word documents, not ${format.label}`);
+            error.status = 400;
+            throw error;
+        }
+        return { format, buffer: fillBrandedTemplate(template, data) };
+    }
+
+    checkCharacters(format, data);
+    const { layout, ...renderOptions } = options;
+    if (layout && layout.placeholders === false) {
+        renderOptions.placeholders = false;
+    }
+    const output = await format.render(data, applyLayoutOptions(template, layout), renderOptions);
+    return { format, buffer: Buffer.isBuffer(output) ? output : Buffer.from(output, 'utf-8') };
+}
+
+function listFormats() {
+    return Array.from(formats.values()).map(format => ({
+        id: format.id,
+        label: format.label,
+        extension: format.extension,
+        default: format.id === DEFAULT_FORMAT
+    }));
+}
+
+module.exports = {
+    DOCX_MIME,
+    getFormat,
+    checkTemplateLayout,
+    renderResume,
+    listFormats
+};
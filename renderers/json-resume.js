@@ -0,0 +1,279 @@
+// JSON Resume (jsonresume.org) export and import
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Mar 2019", "03/2019" or "2019" as an ISO 8601 date; anything else is dropped
+function toIsoDate(text) {
+    const value = (text || '').trim().toLowerCase();
+
+    const named = value.match(/^([a-z]{3})[a-z]*\.?\s+((?:19|20)\d{2})$/);
+    if (named && MONTHS.includes(named[1])) {
+        return `${named[2]}-${String(MONTHS.indexOf(named[1]) + 1).padStart(2, '0')}`;
+    }
+
+    const numeric = value.match(/^(\d{1,2})\/((?:19|20)\d{2})$/);
+    if (numeric) {
+        return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+    }
+
+    const year = value.match(/^(?:19|20)\d{2}$/);
+    return year ? year[0] : undefined;
+}
+
+// "Mar 2019 – Present" -> startDate only; an open end date means the role is current
+function toDateRange(dates) {
+    const [start, end] = (dates || '').split(/\s*(?:–|—|-|\bto\b)\s*/i);
+    return {
+        startDate: toIsoDate(start),
+        endDate: end ? toIsoDate(end) : undefined
+    };
+}
+
+// Projects and volunteering dated with a single "2021" ran and finished in that period
+function toPeriod(dates) {
+    const range = toDateRange(dates);
+    return /–|—|-|\bto\b/i.test(dates || '') ? range : { startDate: range.startDate, endDate: range.startDate };
+}
+
+function splitList(text) {
+    return (text || '').split(/\s*[,;]\s*/).filter(Boolean);
+}
+
+// Version 1 data: "English (Native), Arabic (Intermediate)"
+function toLanguages(text) {
+    return splitList(text).map(entry => {
+        const match = entry.match(/^(.+?)\s*\((.+)\)$/);
+        return match ? { language: match[1], fluency: match[2] } : { language: entry };
+    });
+}
+
+function toLocation(location) {
+    if (!location) {
+        return undefined;
+    }
+    const [city, ...rest] = location.split(/\s*,\s*/);
+    return { address: location, city, region: rest.join(', ') || undefined };
+}
+
+// "LinkedIn" for a linkedin.com address when the link has no label of its own
+function networkName(link) {
+    if (link.label) {
+        return link.label;
+    }
+    const host = link.url.replace(/^[a-z]+:\/\/(www\.)?/i, '').split(/[/?#]/)[0];
+    const known = { 'linkedin.com': 'LinkedIn', 'github.com': 'GitHub', 'gitlab.com': 'GitLab', 'twitter.com': 'Twitter', 'x.com': 'X' };
+    return known[host.toLowerCase()] || host;
+}
+
+function nonEmpty(list) {
+    return list && list.length > 0 ? list : undefined;
+}
+
+// Map our resume data onto the JSON Resume schema. Details JSON Resume has no
+// field for (nationality, visa status) are kept under meta.personal
+function toJsonResume(data) {
+    const personal = data.personal || {};
+    const skills = data.skills || {};
+
+    return {
+        $schema: SCHEMA_URL,
+        basics: {
+            name: data.name,
+            email: data.email || undefined,
+            phone: data.phone || undefined,
+            summary: (data.summary || []).join('\n\n') || undefined,
+            location: toLocation(data.location),
+            profiles: (data.links || []).map(link => ({ network: networkName(link), url: link.url }))
+        },
+        work: (data.experience || []).map(job => ({
+            name: job.company || undefined,
+            position: job.title,
+            ...toDateRange(job.dates),
+            highlights: job.responsibilities || []
+        })),
+        education: (data.education || []).map(edu => ({
+            institution: edu.institution || undefined,
+            studyType: edu.degree,
+            endDate: toIsoDate(edu.year)
+        })),
+        projects: (data.projects || []).map(project => ({
+            name: project.name,
+            description: project.description || undefined,
+            highlights: nonEmpty(project.highlights),
+            roles: project.role ? [project.role] : undefined,
+            url: project.url || undefined,
+            ...toPeriod(project.dates)
+        })),
+        publications: (data.publications || []).map(publication => ({
+            name: publication.title,
+            publisher: publication.publisher || undefined,
+            releaseDate: toIsoDate(publication.date),
+            url: publication.url || undefined
+        })),
+        volunteer: (data.volunteering || []).map(entry => ({
+            organization: entry.organization || undefined,
+            position: entry.role,
+            ...toPeriod(entry.dates),
+            highlights: nonEmpty(entry.highlights)
+        })),
+        certificates: (data.certifications || []).map(name => ({ name })),
+        awards: [
+            ...(data.awards || []).map(award => ({
+                title: award.title,
+                date: toIsoDate(award.date),
+                awarder: award.issuer || undefined,
+                summary: award.description || undefined
+            })),
+            ...(data.achievements || []).map(title => ({ title }))
+        ],
+        skills: [
+            { name: 'Technical skills', keywords: splitList(skills.technical) },
+            { name: 'Core competencies', keywords: splitList(skills.core) }
+        ].filter(skill => skill.keywords.length > 0),
+        languages: data.languages
+            ? data.languages.map(entry => ({ language: entry.language, fluency: entry.proficiency || undefined }))
+            : toLanguages(personal.languages),
+        references: (data.references || []).map(reference => ({
+            name: reference.name,
+            reference: [reference.note, reference.position, reference.contact].filter(Boolean).join(' - ') || undefined
+        })),
+        meta: {
+            version: 'v1.0.0',
+            lastModified: new Date().toISOString(),
+            personal: {
+                nationality: personal.nationality || undefined,
+                visaStatus: personal.visaStatus || undefined,
+                other: personal.other && personal.other.length > 0 ? personal.other : undefined
+            }
+        }
+    };
+}
+
+function renderJsonResume(data) {
+    return JSON.stringify(toJsonResume(data), null, 2);
+}
+
+// "2019-03-15" or "2019-03" -> "Mar 2019"; a bare year stays as it is
+function fromIsoDate(date) {
+    const match = (date || '').match(/^((?:19|20)\d{2})(?:-(\d{2}))?/);
+    if (!match) {
+        return date || '';
+    }
+    const month = MONTHS[parseInt(match[2], 10) - 1];
+    return month ? `${month.charAt(0).toUpperCase()}${month.slice(1)} ${match[1]}` : match[1];
+}
+
+function fromDateRange(startDate, endDate) {
+    if (!startDate || startDate === endDate) {
+        return fromIsoDate(endDate);
+    }
+    return `${fromIsoDate(startDate)} – ${endDate ? fromIsoDate(endDate) : 'Present'}`;
+}
+
+function fromLocation(location) {
+    if (!location) {
+        return '';
+    }
+    const parts = [location.city, location.region, location.countryCode].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : (location.address || '');
+}
+
+// JSON Resume sections our resume data has no place for yet
+const UNSUPPORTED_SECTIONS = ['interests'];
+
+function toLinks(basics) {
+    const links = basics.url ? [{ label: 'Website', url: basics.url }] : [];
+    (basics.profiles || []).forEach(profile => {
+        if (profile.url) {
+            links.push({ label: profile.network || '', url: profile.url });
+        }
+    });
+    return links;
+}
+
+// Map a JSON Resume document onto our resume data. Returns the data (to be validated
+// by the caller) plus warnings for any sections that could not be carried over
+function fromJsonResume(json) {
+    const basics = json.basics || {};
+    const personal = (json.meta && json.meta.personal) || {};
+
+    const technical = [];
+    const core = [];
+    (json.skills || []).forEach(skill => {
+        const target = /core|soft|competenc|interpersonal/i.test(skill.name || '') ? core : technical;
+        target.push(...(skill.keywords && skill.keywords.length > 0 ? skill.keywords : [skill.name].filter(Boolean)));
+    });
+
+    const resume = {
+        name: (basics.name || '').toUpperCase(),
+        location: fromLocation(basics.location),
+        phone: basics.phone || '',
+        email: basics.email || '',
+        links: toLinks(basics),
+        summary: (basics.summary || '').split(/\n\s*\n/).map(para => para.trim()).filter(Boolean),
+        experience: (json.work || []).map(job => ({
+            title: job.position || '',
+            company: [job.name, job.location].filter(Boolean).join(', '),
+            dates: fromDateRange(job.startDate, job.endDate),
+            responsibilities: [job.summary, ...(job.highlights || [])].filter(Boolean)
+        })),
+        education: (json.education || []).map(edu => ({
+            degree: [edu.studyType, edu.area].filter(Boolean).join(' in '),
+            institution: edu.institution || '',
+            year: edu.endDate ? fromIsoDate(edu.endDate) : (edu.startDate ? 'Pursuing' : '')
+        })),
+        projects: (json.projects || []).map(project => ({
+            name: project.name || '',
+            role: (project.roles || []).join(', '),
+            dates: fromDateRange(project.startDate, project.endDate),
+            url: project.url || '',
+            description: project.description || '',
+            highlights: project.highlights || []
+        })),
+        publications: (json.publications || []).map(publication => ({
+            title: publication.name || '',
+            publisher: publication.publisher || '',
+            date: fromIsoDate(publication.releaseDate),
+            url: publication.url || ''
+        })),
+        volunteering: (json.volunteer || []).map(entry => ({
+            role: entry.position || '',
+            organization: entry.organization || '',
+            dates: fromDateRange(entry.startDate, entry.endDate),
+            highlights: [entry.summary, ...(entry.highlights || [])].filter(Boolean)
+        })),
+        certifications: (json.certificates || []).map(cert => [cert.name, cert.issuer].filter(Boolean).join(', ')),
+        skills: { technical: technical.join(', '), core: core.join(', ') },
+        awards: (json.awards || []).map(award => ({
+            title: award.title || '',
+            issuer: award.awarder || '',
+            date: fromIsoDate(award.date),
+            description: award.summary || ''
+        })),
+        languages: (json.languages || [])
+            .filter(entry => entry.language)
+            .map(entry => ({ language: entry.language, proficiency: entry.fluency || '' })),
+        references: (json.references || []).map(reference => ({
+            name: reference.name || '',
+            note: reference.reference || ''
+        })),
+        personal: {
+            nationality: personal.nationality || '',
+            visaStatus: personal.visaStatus || '',
+            other: personal.other || []
+        }
+    };
+
+    const warnings = UNSUPPORTED_SECTIONS
+        .filter(section => Array.isArray(json[section]) && json[section].length > 0)
+        .map(section => `The JSON Resume "${section}" section is not supported and was not imported`);
+
+    return { resume, warnings };
+}
+
+module.exports = {
+    toJsonResume,
+    renderJsonResume,
+    fromJsonResume
+};
@@ -0,0 +1,250 @@
+// Localized label sets - section headings, field labels and placeholder text for each
+// language a resume can be rendered in. English keeps each template's own headings
+const DEFAULT_LANGUAGE = 'en';
+
+const LABEL_SETS = {
+    en: {
+        name: 'English',
+        locale: 'en-GB',
+        direction: 'ltr',
+        headings: {
+            summary: 'Summary',
+            experience: 'Experience',
+            education: 'Education',
+            certifications: 'Certifications',
+            achievements: 'Key Achievements',
+            skills: 'Skills',
+            personal: 'Personal Details',
+            projects: 'Projects',
+            publications: 'Publications',
+            volunteering: 'Volunteer Experience',
+            awards: 'Awards',
+            languages: 'Languages',
+            references: 'References'
+        },
+        labels: {
+            technicalSkills: 'Technical skills',
+            coreCompetencies: 'Core competencies',
+            nationality: 'Nationality',
+            languages: 'Languages',
+            visaStatus: 'Visa Status'
+        },
+        placeholders: {
+            location: 'Location',
+            phone: 'Phone',
+            jobTitle: 'Job Title',
+            dates: 'Dates',
+            company: 'Company Name',
+            degree: 'Degree',
+            institution: 'Institution',
+            year: 'Year',
+            skills: 'Skills to be added',
+            competencies: 'Competencies to be added',
+            toBeAdded: 'To be added'
+        }
+    },
+
+    fr: {
+        name: 'French',
+        locale: 'fr-FR',
+        direction: 'ltr',
+        headings: {
+            summary: 'Profil',
+            experience: 'Expérience professionnelle',
+            education: 'Formation',
+            certifications: 'Certifications',
+            achievements: 'Réalisations clés',
+            skills: 'Compétences',
+            personal: 'Informations personnelles',
+            projects: 'Projets',
+            publications: 'Publications',
+            volunteering: 'Bénévolat',
+            awards: 'Distinctions',
+            languages: 'Langues',
+            references: 'Références'
+        },
+        labels: {
+            technicalSkills: 'Compétences techniques',
+            coreCompetencies: 'Compétences clés',
+            nationality: 'Nationalité',
+            languages: 'Langues',
+            visaStatus: 'Statut de visa'
+        },
+        placeholders: {
+            location: 'Lieu',
+            phone: 'Téléphone',
+            jobTitle: 'Intitulé du poste',
+            dates: 'Dates',
+            company: 'Entreprise',
+            degree: 'Diplôme',
+            institution: 'Établissement',
+            year: 'Année',
+            skills: 'Compétences à compléter',
+            competencies: 'Compétences clés à compléter',
+            toBeAdded: 'À compléter'
+        }
+    },
+
+    de: {
+        name: 'German',
+        locale: 'de-DE',
+        direction: 'ltr',
+        headings: {
+            summary: 'Profil',
+            experience: 'Berufserfahrung',
+            education: 'Ausbildung',
+            certifications: 'Zertifizierungen',
+            achievements: 'Wichtige Erfolge',
+            skills: 'Kenntnisse',
+            personal: 'Persönliche Angaben',
+            projects: 'Projekte',
+            publications: 'Veröffentlichungen',
+            volunteering: 'Ehrenamtliches Engagement',
+            awards: 'Auszeichnungen',
+            languages: 'Sprachen',
+            references: 'Referenzen'
+        },
+        labels: {
+            technicalSkills: 'Technische Kenntnisse',
+            coreCompetencies: 'Kernkompetenzen',
+            nationality: 'Staatsangehörigkeit',
+            languages: 'Sprachen',
+            visaStatus: 'Aufenthaltsstatus'
+        },
+        placeholders: {
+            location: 'Ort',
+            phone: 'Telefon',
+            jobTitle: 'Berufsbezeichnung',
+            dates: 'Zeitraum',
+            company: 'Unternehmen',
+            degree: 'Abschluss',
+            institution: 'Bildungseinrichtung',
+            year: 'Jahr',
+            skills: 'Kenntnisse noch zu ergänzen',
+            competencies: 'Kompetenzen noch zu ergänzen',
+            toBeAdded: 'Noch zu ergänzen'
+        }
+    },
+
+    es: {
+        name: 'Spanish',
+        locale: 'es-ES',
+        direction: 'ltr',
+        headings: {
+            summary: 'Perfil',
+            experience: 'Experiencia profesional',
+            education: 'Formación',
+            certifications: 'Certificaciones',
+            achievements: 'Logros clave',
+            skills: 'Habilidades',
+            personal: 'Datos personales',
+            projects: 'Proyectos',
+            publications: 'Publicaciones',
+            volunteering: 'Voluntariado',
+            awards: 'Premios',
+            languages: 'Idiomas',
+            references: 'Referencias'
+        },
+        labels: {
+            technicalSkills: 'Habilidades técnicas',
+            coreCompetencies: 'Competencias clave',
+            nationality: 'Nacionalidad',
+            languages: 'Idiomas',
+            visaStatus: 'Situación de visado'
+        },
+        placeholders: {
+            location: 'Ubicación',
+            phone: 'Teléfono',
+            jobTitle: 'Puesto',
+            dates: 'Fechas',
+            company: 'Empresa',
+            degree: 'Titulación',
+            institution: 'Institución',
+            year: 'Año',
+            skills: 'Habilidades por añadir',
+            competencies: 'Competencias por añadir',
+            toBeAdded: 'Por añadir'
+        }
+    },
+
+    ar: {
+        name: 'Arabic',
+        locale: 'ar-SA',
+        direction: 'rtl',
+        headings: {
+            summary: 'الملخص المهني',
+            experience: 'الخبرة العملية',
+            education: 'التعليم',
+            certifications: 'الشهادات المهنية',
+            achievements: 'الإنجازات الرئيسية',
+            skills: 'المهارات',
+            personal: 'البيانات الشخصية',
+            projects: 'المشاريع',
+            publications: 'المنشورات',
+            volunteering: 'العمل التطوعي',
+            awards: 'الجوائز',
+            languages: 'اللغات',
+            references: 'المراجع'
+        },
+        labels: {
+            technicalSkills: 'المهارات التقنية',
+            coreCompetencies: 'الكفاءات الأساسية',
+            nationality: 'الجنسية',
+            languages: 'اللغات',
+            visaStatus: 'حالة التأشيرة'
+        },
+        placeholders: {
+            location: 'الموقع',
+            phone: 'الهاتف',
+            jobTitle: 'المسمى الوظيفي',
+            dates: 'التواريخ',
+            company: 'اسم الشركة',
+            degree: 'المؤهل',
+            institution: 'المؤسسة التعليمية',
+            year: 'السنة',
+            skills: 'المهارات قيد الإضافة',
+            competencies: 'الكفاءات قيد الإضافة',
+            toBeAdded: 'قيد الإضافة'
+        }
+    }
+};
+
+// Look up a language by code ("fr", "ar", ...); no code means English
+function getLanguage(code) {
+    const id = String(code || DEFAULT_LANGUAGE).trim().toLowerCase();
+    const labelSet = LABEL_SETS[id];
+    if (!labelSet) {
+        const error = new Error(`Unsupported language: ${code} (supported: ${Object.keys(LABEL_SETS).join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+    return { code: id, ...labelSet };
+}
+
+// The template's heading for a section in the chosen language. Headings the template
+// leaves blank stay blank, and upper-case template headings stay upper case
+function localizeHeading(template, id, language) {
+    const heading = template.headings[id] || '';
+    if (!heading || language.code === DEFAULT_LANGUAGE) {
+        return heading;
+    }
+    const localized = language.headings[id] || heading;
+    return heading === heading.toUpperCase() ? localized.toLocaleUpperCase(language.locale) : localized;
+}
+
+// Summaries for GET /languages and the frontend picker
+function listLanguages() {
+    return Object.entries(LABEL_SETS).map(([code, labelSet]) => ({
+        code,
+        name: labelSet.name,
+        direction: labelSet.direction,
+        default: code === DEFAULT_LANGUAGE
+    }));
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    getLanguage,
+    localizeHeading,
+    listLanguages
+};
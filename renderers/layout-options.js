@@ -0,0 +1,170 @@
+// Layout options chosen in the preview - page size, margins, font, date alignment, page
+// numbers, hidden sections and placeholder text - applied on top of a template so every
+// renderer draws the same page
+const { getLanguage } = require('./labels');
+
+// Sizes and margins in twips (1440 per inch)
+const PAGE_SIZES = {
+    a4: { label: 'A4', width: 11906, height: 16838 },
+    letter: { label: 'US Letter', width: 12240, height: 15840 }
+};
+
+const MARGINS = {
+    narrow: { label: 'Narrow (0.5")', twips: 720 },
+    moderate: { label: 'Moderate (0.75")', twips: 1080 },
+    normal: { label: 'Normal (1")', twips: 1440 },
+    wide: { label: 'Wide (1.25")', twips: 1800 }
+};
+
+// Fonts Word, browsers and the PDF renderer all handle
+const FONT_FAMILIES = ['Calibri', 'Arial', 'Helvetica', 'Cambria', 'Georgia', 'Garamond', 'Times New Roman'];
+
+// Body text size in points, in half-point steps
+const FONT_SIZE = { min: 9, max: 14 };
+
+const DATE_ALIGNMENTS = {
+    right: 'Right-aligned',
+    inline: 'After the title'
+};
+
+function badLayout(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function choose(registry, value, name) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    if (!Object.prototype.hasOwnProperty.call(registry, value)) {
+        throw badLayout(`Unknown ${name}: ${value} (supported: ${Object.keys(registry).join(', ')})`);
+    }
+    return value;
+}
+
+function flag(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Check the layout options sent with a request (an object, or a JSON string in a form
+// upload). Options left out keep the template's own setting
+function resolveLayoutOptions(input) {
+    if (!input) {
+        return null;
+    }
+
+    let options = input;
+    if (typeof input === 'string') {
+        try {
+            options = JSON.parse(input);
+        } catch (e) {
+            throw badLayout('Layout options are not valid JSON');
+        }
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw badLayout('Layout options must be an object');
+    }
+
+    if (options.fontFamily && !FONT_FAMILIES.includes(options.fontFamily)) {
+        throw badLayout(`Unsupported font: ${options.fontFamily} (supported: ${FONT_FAMILIES.join(', ')})`);
+    }
+
+    let fontSize;
+    if (options.fontSize !== undefined && options.fontSize !== null && options.fontSize !== '') {
+        fontSize = Number(options.fontSize);
+        if (!(fontSize >= FONT_SIZE.min && fontSize <= FONT_SIZE.max) || fontSize * 2 !== Math.round(fontSize * 2)) {
+            throw badLayout(`Font size must be between ${FONT_SIZE.min} and ${FONT_SIZE.max} points in half-point steps`);
+        }
+    }
+
+    const sectionIds = Object.keys(getLanguage().headings);
+    const hiddenSections = options.hiddenSections || [];
+    if (!Array.isArray(hiddenSections)) {
+        throw badLayout('hiddenSections must be a list of section ids');
+    }
+    hiddenSections.forEach(id => {
+        if (!sectionIds.includes(id)) {
+            throw badLayout(`Unknown section: ${id} (supported: ${sectionIds.join(', ')})`);
+        }
+    });
+
+    return {
+        pageSize: choose(PAGE_SIZES, options.pageSize, 'page size'),
+        margin: choose(MARGINS, options.margin, 'margin'),
+        fontFamily: options.fontFamily || undefined,
+        fontSize,
+        dateAlignment: choose(DATE_ALIGNMENTS, options.dateAlignment, 'date alignment'),
+        pageNumbers: flag(options.pageNumbers),
+        hiddenSections,
+        placeholders: flag(options.placeholders)
+    };
+}
+
+// The template with the layout options applied. A new body size scales the name and
+// heading sizes with it, and a new font replaces the heading font as well
+function applyLayoutOptions(template, layout) {
+    if (!layout) {
+        return template;
+    }
+
+    const page = {
+        size: layout.pageSize ? { width: PAGE_SIZES[layout.pageSize].width, height: PAGE_SIZES[layout.pageSize].height } : template.page.size,
+        margin: layout.margin
+            ? { top: MARGINS[layout.margin].twips, right: MARGINS[layout.margin].twips, bottom: MARGINS[layout.margin].twips, left: MARGINS[layout.margin].twips }
+            : template.page.margin
+    };
+
+    const fonts = { ...template.fonts };
+    if (layout.fontFamily) {
+        fonts.family = layout.fontFamily;
+        fonts.headingFamily = layout.fontFamily;
+    }
+    if (layout.fontSize) {
+        const scale = (layout.fontSize * 2) / template.fonts.size;
+        fonts.size = layout.fontSize * 2;
+        fonts.nameSize = Math.round(template.fonts.nameSize * scale);
+        fonts.headingSize = Math.round(template.fonts.headingSize * scale);
+    }
+
+    return {
+        ...template,
+        page,
+        fonts,
+        dates: layout.dateAlignment ? { ...template.dates, alignment: layout.dateAlignment } : template.dates,
+        footer: layout.pageNumbers !== undefined ? { ...template.footer, pageNumbers: layout.pageNumbers } : template.footer,
+        sections: template.sections.filter(id => !layout.hiddenSections.includes(id))
+    };
+}
+
+// The options a checked layout actually sets - those left out keep the template's setting
+function changedOptions(layout) {
+    if (!layout) {
+        return [];
+    }
+    return Object.keys(layout).filter(option => option === 'hiddenSections'
+        ? layout.hiddenSections.length > 0
+        : layout[option] !== undefined);
+}
+
+// Choices for GET /layout-options and the frontend controls
+function listLayoutOptions() {
+    const list = (registry) => Object.entries(registry).map(([id, entry]) => ({ id, label: entry.label || entry }));
+    return {
+        pageSizes: list(PAGE_SIZES),
+        margins: list(MARGINS),
+        fontFamilies: FONT_FAMILIES,
+        fontSize: { ...FONT_SIZE, step: 0.5 },
+        dateAlignments: list(DATE_ALIGNMENTS)
+    };
+}
+
+module.exports = {
+    resolveLayoutOptions,
+    applyLayoutOptions,
+    changedOptions,
+    listLayoutOptions
+};
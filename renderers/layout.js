@@ -0,0 +1,150 @@
+// Format-neutral layout of a resume - every renderer draws from this, so the
+// DOCX, PDF, HTML, Markdown and text outputs always carry the same content.
+const { formatLanguages } = require('../schema/resume');
+const { getLanguage, localizeHeading } = require('./labels');
+
+// Empty values keep their stand-in text unless placeholders are turned off
+function placeholder(value, text, options = {}) {
+    return value || (options.placeholders === false ? '' : text);
+}
+
+// Links are shown as the address itself so they still read on paper
+function linkText(url) {
+    return url.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '');
+}
+
+// Sections without entries are left out, heading and all. Entries carry an optional url
+// for the title and may have no subtitle
+function entriesSection(entries) {
+    const kept = entries.filter(entry => entry.title);
+    return kept.length > 0 ? { type: 'entries', entries: kept } : null;
+}
+
+const sectionLayouts = {
+    summary: (data) => {
+        const paragraphs = data.summary || [];
+        return paragraphs.length > 0 ? { type: 'paragraphs', paragraphs } : null;
+    },
+
+    experience: (data, options, template, language) => entriesSection((data.experience || []).map(job => ({
+        title: placeholder(job.title, language.placeholders.jobTitle, options),
+        dates: placeholder(job.dates, language.placeholders.dates, options),
+        subtitle: placeholder(job.company, language.placeholders.company, options),
+        bullets: job.responsibilities || []
+    }))),
+
+    education: (data, options, template, language) => entriesSection((data.education || []).map(edu => ({
+        title: placeholder(edu.degree, language.placeholders.degree, options),
+        dates: '',
+        subtitle: [placeholder(edu.institution, language.placeholders.institution, options), placeholder(edu.year, language.placeholders.year, options)]
+            .filter(Boolean)
+            .join(' | '),
+        bullets: []
+    }))),
+
+    projects: (data) => entriesSection((data.projects || []).map(project => ({
+        title: project.name,
+        dates: project.dates || '',
+        subtitle: project.role || '',
+        url: project.url || undefined,
+        bullets: [project.description, ...(project.highlights || [])].filter(Boolean)
+    }))),
+
+    publications: (data) => entriesSection((data.publications || []).map(publication => ({
+        title: publication.title,
+        dates: publication.date || '',
+        subtitle: publication.publisher || '',
+        url: publication.url || undefined,
+        bullets: []
+    }))),
+
+    volunteering: (data) => entriesSection((data.volunteering || []).map(entry => ({
+        title: entry.role,
+        dates: entry.dates || '',
+        subtitle: entry.organization || '',
+        bullets: entry.highlights || []
+    }))),
+
+    awards: (data) => entriesSection((data.awards || []).map(award => ({
+        title: award.title,
+        dates: award.date || '',
+        subtitle: award.issuer || '',
+        bullets: award.description ? [award.description] : []
+    }))),
+
+    references: (data) => entriesSection((data.references || []).map(reference => ({
+        title: reference.name,
+        dates: '',
+        subtitle: [reference.position, reference.contact].filter(Boolean).join(' | '),
+        bullets: reference.note ? [reference.note] : []
+    }))),
+
+    certifications: (data) => {
+        const items = data.certifications || [];
+        return items.length > 0 ? { type: 'bullets', items } : null;
+    },
+
+    achievements: (data) => {
+        const items = data.achievements || [];
+        return items.length > 0 ? { type: 'bullets', items } : null;
+    },
+
+    skills: (data, options, template, language) => {
+        const items = [
+            { label: language.labels.technicalSkills, value: placeholder(data.skills?.technical, language.placeholders.skills, options) },
+            { label: language.labels.coreCompetencies, value: placeholder(data.skills?.core, language.placeholders.competencies, options) }
+        ].filter(item => item.value);
+        return items.length > 0 ? { type: 'labelled', items } : null;
+    },
+
+    languages: (data) => {
+        const items = (data.languages || []).map(entry => formatLanguages([entry]));
+        return items.length > 0 ? { type: 'bullets', items } : null;
+    },
+
+    // Languages are listed here unless the template gives them a section of their own
+    personal: (data, options, template, language) => {
+        const personal = data.personal || {};
+        const nationality = placeholder(personal.nationality, language.placeholders.toBeAdded, options);
+        // Version 1 data kept languages as text under personal
+        const languages = template.sections.includes('languages') ? '' : (formatLanguages(data.languages) || personal.languages);
+        const items = [
+            ...(nationality ? [`${language.labels.nationality}: ${nationality}`] : []),
+            ...(languages ? [`${language.labels.languages}: ${languages}`] : []),
+            ...(personal.visaStatus ? [`${language.labels.visaStatus}: ${personal.visaStatus}`] : []),
+            ...(personal.other || [])
+        ];
+        return items.length > 0 ? { type: 'bullets', items } : null;
+    }
+};
+
+// Header plus the template's sections in order, each tagged with how it is laid out:
+// paragraphs, entries (title/dates/subtitle/url/bullets), bullets, or labelled lines.
+// options.language picks the label set for headings, labels and placeholders; every
+// section also carries its plain label for renderers that need a heading where the
+// template has none
+function buildLayout(data, template, options = {}) {
+    const language = getLanguage(options.language);
+    return {
+        language: language.code,
+        locale: language.locale,
+        direction: language.direction,
+        header: {
+            name: data.name || 'NAME',
+            contact: [placeholder(data.location, language.placeholders.location, options), placeholder(data.phone, language.placeholders.phone, options)].filter(Boolean),
+            email: placeholder(data.email, 'email@example.com', options),
+            links: (data.links || []).filter(link => link.url).map(link => ({ text: linkText(link.url), url: link.url }))
+        },
+        sections: template.sections
+            .map(id => {
+                const layoutSection = sectionLayouts[id];
+                const section = layoutSection ? layoutSection(data, options, template, language) : null;
+                return section ? { id, heading: localizeHeading(template, id, language), label: language.headings[id], ...section } : null;
+            })
+            .filter(Boolean)
+    };
+}
+
+module.exports = {
+    buildLayout
+};
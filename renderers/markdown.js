@@ -0,0 +1,53 @@
+// Markdown renderer
+const { buildLayout } = require('./layout');
+
+// Keep resume text from being read as Markdown syntax
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+}
+
+function headingText(section) {
+    return section.heading || section.label;
+}
+
+function link(text, url) {
+    return `[${escapeMarkdown(text)}](${url.replace(/[()\s]/g, encodeURIComponent)})`;
+}
+
+const sectionRenderers = {
+    paragraphs: (section) => section.paragraphs.map(escapeMarkdown).join('\n\n'),
+
+    entries: (section) => section.entries.map(entry => [
+        `### ${entry.url ? link(entry.title, entry.url) : escapeMarkdown(entry.title)}${entry.dates ? ` — ${escapeMarkdown(entry.dates)}` : ''}`,
+        ...(entry.subtitle ? ['', `*${escapeMarkdown(entry.subtitle)}*`] : []),
+        ...(entry.bullets.length > 0 ? ['', ...entry.bullets.map(item => `- ${escapeMarkdown(item)}`)] : [])
+    ].join('\n')).join('\n\n'),
+
+    bullets: (section) => section.items.map(item => `- ${escapeMarkdown(item)}`).join('\n'),
+
+    labelled: (section) => section.items.map(item => `**${escapeMarkdown(item.label)}:** ${escapeMarkdown(item.value)}`).join('\n\n')
+};
+
+function renderMarkdown(data, template, options = {}) {
+    const layout = buildLayout(data, template, options);
+    const { header } = layout;
+
+    const lines = [
+        `# ${escapeMarkdown(header.name)}`,
+        '',
+        [...header.contact, header.email].filter(Boolean).map(escapeMarkdown).join(' | ')
+    ];
+    if (header.links.length > 0) {
+        lines.push('', header.links.map(item => link(item.text, item.url)).join(' | '));
+    }
+
+    layout.sections.forEach(section => {
+        lines.push('', `## ${escapeMarkdown(headingText(section))}`, '', sectionRenderers[section.type](section));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    renderMarkdown
+};
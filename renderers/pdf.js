@@ -0,0 +1,230 @@
+// PDF renderer - drawn locally with pdfkit from the same layout as the Word output
+const PDFDocument = require('pdfkit');
+const { buildLayout } = require('./layout');
+
+// Word units: twips (1/20 pt) for page and spacing, half-points for font sizes
+const points = (twips) => twips / 20;
+const fontSize = (halfPoints) => halfPoints / 2;
+
+const SERIF_FAMILIES = /times|georgia|garamond|cambria|book antiqua|palatino|serif/i;
+
+// Word's default hyperlink colour
+const LINK_COLOR = '#0563C1';
+
+// The built-in PDF fonts only cover Latin text; PDF_FONT and PDF_BOLD_FONT can point
+// at TrueType files for other scripts
+function resolveFonts(template) {
+    if (process.env.PDF_FONT) {
+        return { regular: process.env.PDF_FONT, bold: process.env.PDF_BOLD_FONT || process.env.PDF_FONT };
+    }
+    return SERIF_FAMILIES.test(template.fonts.family || '')
+        ? { regular: 'Times-Roman', bold: 'Times-Bold' }
+        : { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+}
+
+// Besides Latin-1, the built-in fonts' WinAnsi encoding has these typographic characters
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+function collectStrings(value) {
+    if (typeof value === 'string') {
+        return [value];
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).flatMap(collectStrings);
+    }
+    return [];
+}
+
+// Characters in the resume that the built-in fonts cannot draw - none once PDF_FONT is set
+function missingGlyphs(data) {
+    if (process.env.PDF_FONT) {
+        return [];
+    }
+    const missing = new Set();
+    collectStrings(data).forEach(text => {
+        for (const char of text) {
+            if (char.codePointAt(0) > 0xff && !WIN_ANSI_EXTRAS.has(char)) {
+                missing.add(char);
+            }
+        }
+    });
+    return Array.from(missing);
+}
+
+// Bullet glyphs outside the built-in fonts' character set fall back to a round bullet
+function bulletGlyph(template) {
+    return process.env.PDF_FONT || ['•', '-', '–', '·'].includes(template.bullet.text) ? template.bullet.text : '•';
+}
+
+function renderPdf(data, template, options = {}) {
+    const layout = buildLayout(data, template, options);
+    const fonts = resolveFonts(template);
+    const { margin, size } = template.page;
+
+    const doc = new PDFDocument({
+        size: [points(size.width), points(size.height)],
+        margins: {
+            top: points(margin.top),
+            right: points(margin.right),
+            bottom: points(margin.bottom),
+            left: points(margin.left)
+        },
+        info: { Title: layout.header.name },
+        // Page numbers are written once every page exists
+        bufferPages: Boolean(template.footer && template.footer.pageNumbers)
+    });
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const bodySize = fontSize(template.fonts.size);
+    const bullet = bulletGlyph(template);
+
+    const gap = (twips) => {
+        doc.y += points(twips);
+    };
+
+    // Keep a line and the text after it together at the bottom of a page
+    const keepLines = (count) => {
+        if (doc.y + doc.currentLineHeight(true) * count > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+    };
+
+    const write = (text, { bold = false, size = bodySize, align = 'left', x = left, textWidth = width, link = null, ...rest } = {}) => {
+        doc.font(bold ? fonts.bold : fonts.regular).fontSize(size).fillColor(link ? LINK_COLOR : 'black');
+        doc.text(text, x, doc.y, { width: textWidth, align, link, underline: Boolean(link), ...rest });
+    };
+
+    const bulletItem = (text, after) => {
+        const indent = points(template.bullet.indent.left);
+        keepLines(1);
+        const top = doc.y;
+        write(bullet, { x: left + indent - points(template.bullet.indent.hanging), textWidth: points(template.bullet.indent.hanging) });
+        doc.y = top;
+        write(text, { x: left + indent, textWidth: width - indent });
+        gap(after);
+    };
+
+    const sectionRenderers = {
+        paragraphs: (section) => section.paragraphs.forEach((para, index) => {
+            write(para, { align: 'justify' });
+            gap(index === section.paragraphs.length - 1 ? template.spacing.summaryEnd : template.spacing.paragraph);
+        }),
+
+        entries: (section) => section.entries.forEach((entry, entryIndex) => {
+            const lastEntry = entryIndex === section.entries.length - 1;
+            const afterSubtitle = entry.bullets.length > 0 ? template.spacing.company : (lastEntry ? template.spacing.sectionEnd : template.spacing.entryGap);
+            keepLines(2);
+
+            // Title on the left (linked when the entry has a url), dates right-aligned on the same
+            // line or straight after the title
+            const top = doc.y;
+            const inlineDates = template.dates && template.dates.alignment === 'inline';
+            if (entry.dates && inlineDates) {
+                doc.font(fonts.bold).fontSize(bodySize).fillColor(entry.url ? LINK_COLOR : 'black');
+                doc.text(entry.title, left, doc.y, { width, link: entry.url || null, underline: Boolean(entry.url), continued: true });
+                doc.font(fonts.regular).fillColor('black').text(` | ${entry.dates}`, { link: null, underline: false });
+            } else {
+                write(entry.title, { bold: true, textWidth: entry.dates ? width * 0.7 : width, link: entry.url || null });
+            }
+            if (entry.dates && !inlineDates) {
+                const bottom = doc.y;
+                doc.y = top;
+                write(entry.dates, { align: 'right' });
+                doc.y = Math.max(doc.y, bottom);
+            }
+            if (entry.subtitle) {
+                gap(template.spacing.line);
+                write(entry.subtitle);
+            }
+            gap(afterSubtitle);
+
+            entry.bullets.forEach((item, index) => {
+                bulletItem(item, index === entry.bullets.length - 1 && !lastEntry ? template.spacing.entryGap : template.spacing.line);
+            });
+        }),
+
+        bullets: (section) => section.items.forEach((item, index) => {
+            bulletItem(item, index === section.items.length - 1 && section.id !== 'personal' ? template.spacing.sectionEnd : template.spacing.line);
+        }),
+
+        labelled: (section) => section.items.forEach((item, index) => {
+            doc.font(fonts.bold).fontSize(bodySize).fillColor('black');
+            doc.text(`${item.label}: `, left, doc.y, { width, continued: true, align: 'justify' });
+            doc.font(fonts.regular).text(item.value);
+            gap(index === section.items.length - 1 ? template.spacing.sectionEnd : template.spacing.skillsLine);
+        })
+    };
+
+    // Header block
+    const alignment = template.header.alignment || 'center';
+    const contact = layout.header.contact.join(template.header.contactSeparator);
+    write(layout.header.name, { bold: true, size: fontSize(template.fonts.nameSize), align: alignment });
+    gap(template.spacing.name);
+    if (contact) {
+        write(contact, { align: alignment });
+        gap(template.spacing.contact);
+    }
+    const links = layout.header.links;
+    if (layout.header.email) {
+        write(layout.header.email, { align: alignment, underline: template.header.underlineEmail });
+        gap(links.length > 0 ? template.spacing.contact : template.spacing.email);
+    }
+    if (links.length > 0) {
+        // One line of links, each clickable on its own
+        const pieces = links.flatMap((link, index) => [
+            ...(index > 0 ? [{ text: template.header.contactSeparator }] : []),
+            { text: link.text, url: link.url }
+        ]);
+        doc.font(fonts.regular).fontSize(bodySize);
+        pieces.forEach((piece, index) => {
+            const options = { width, align: alignment, link: piece.url || null, underline: Boolean(piece.url), continued: index < pieces.length - 1 };
+            doc.fillColor(piece.url ? LINK_COLOR : 'black');
+            if (index === 0) {
+                doc.text(piece.text, left, doc.y, options);
+            } else {
+                doc.text(piece.text, options);
+            }
+        });
+        gap(template.spacing.email);
+    }
+
+    layout.sections.forEach(section => {
+        if (section.heading) {
+            gap(template.spacing.headingBefore);
+            keepLines(3);
+            doc.font(template.headingStyle.bold ? fonts.bold : fonts.regular)
+                .fontSize(fontSize(template.fonts.headingSize))
+                .fillColor(template.headingStyle.color ? `#${template.headingStyle.color}` : 'black')
+                .text(section.heading, left, doc.y, { width, underline: template.headingStyle.underline });
+            gap(template.spacing.headingAfter);
+        }
+        sectionRenderers[section.type](section);
+    });
+
+    if (template.footer && template.footer.pageNumbers) {
+        const range = doc.bufferedPageRange();
+        for (let index = range.start; index < range.start + range.count; index++) {
+            doc.switchToPage(index);
+            // Writing inside the bottom margin would otherwise start a new page
+            const bottom = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0;
+            doc.font(fonts.regular).fontSize(bodySize).fillColor('black')
+                .text(String(index + 1), left, doc.page.height - bottom / 2 - bodySize / 2, { width, align: 'center', lineBreak: false });
+            doc.page.margins.bottom = bottom;
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.end();
+    });
+}
+
+module.exports = {
+    renderPdf,
+    missingGlyphs
+};
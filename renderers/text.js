@@ -0,0 +1,55 @@
+// ATS-safe plain text - one column, upper-case headings, ASCII punctuation, no layout tricks
+const { buildLayout } = require('./layout');
+
+// Parsers often trip over typographic characters, so fall back to plain ASCII ones
+function plain(text) {
+    return String(text)
+        .replace(/[‘’‚′]/g, "'")
+        .replace(/[“”„″]/g, '"')
+        .replace(/[–—−]/g, '-')
+        .replace(/[•·▪●◦■]/g, '-')
+        .replace(/…/g, '...')
+        .replace(/\u00a0/g, ' ');
+}
+
+function headingText(section) {
+    return (section.heading || section.label).toUpperCase();
+}
+
+const sectionRenderers = {
+    paragraphs: (section) => section.paragraphs.map(plain).join('\n\n'),
+
+    entries: (section) => section.entries.map(entry => [
+        plain(entry.title),
+        ...(entry.dates ? [plain(entry.dates)] : []),
+        ...(entry.subtitle ? [plain(entry.subtitle)] : []),
+        ...(entry.url ? [entry.url] : []),
+        ...entry.bullets.map(item => `- ${plain(item)}`)
+    ].join('\n')).join('\n\n'),
+
+    bullets: (section) => section.items.map(item => `- ${plain(item)}`).join('\n'),
+
+    labelled: (section) => section.items.map(item => `${item.label}: ${plain(item.value)}`).join('\n')
+};
+
+function renderText(data, template, options = {}) {
+    const layout = buildLayout(data, template, options);
+    const { header } = layout;
+
+    const lines = [
+        plain(header.name),
+        ...header.contact.map(plain),
+        ...(header.email ? [header.email] : []),
+        ...header.links.map(item => item.url)
+    ];
+
+    layout.sections.forEach(section => {
+        lines.push('', headingText(section), sectionRenderers[section.type](section));
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    renderText
+};
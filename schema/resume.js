@@ -0,0 +1,372 @@
+// Resume schema - the structure callLLM asks for and generateWordDocument renders.
+// validateResume() normalizes loosely-typed model output and reports what it
+// could not fix, so bad data is caught before it reaches a document.
+//
+// Version 2 added links, projects, publications, volunteering, awards, references and
+// structured languages. Version 1 data (cached extractions, history, saved JSON) is
+// upgraded on validation, so it keeps rendering as before.
+const SCHEMA_VERSION = 2;
+
+// Field types:
+//   string      trimmed string (numbers are converted)
+//   stringList  array of trimmed, non-empty strings (a string is split into lines)
+//   paragraphs  like stringList, but a string is split on blank lines
+//   object      nested fields
+//   list        array of objects described by `item`
+const resumeSchema = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', required: true },
+        location: { type: 'string' },
+        phone: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        // LinkedIn, GitHub, portfolio and other profile URLs
+        links: {
+            type: 'list',
+            item: {
+                type: 'object',
+                coerce: (value) => (typeof value === 'string' ? { label: '', url: value } : value),
+                fields: {
+                    label: { type: 'string' },
+                    url: { type: 'string', format: 'url', required: true }
+                }
+            }
+        },
+        summary: { type: 'paragraphs' },
+        experience: {
+            type: 'list',
+            item: {
+                type: 'object',
+                fields: {
+                    title: { type: 'string', required: true },
+                    dates: { type: 'string' },
+                    company: { type: 'string' },
+                    responsibilities: { type: 'stringList' }
+                }
+            }
+        },
+        education: {
+            type: 'list',
+            item: {
+                type: 'object',
+                fields: {
+                    degree: { type: 'string', required: true },
+                    institution: { type: 'string' },
+                    year: { type: 'string' }
+                }
+            }
+        },
+        projects: {
+            type: 'list',
+            item: {
+                type: 'object',
+                fields: {
+                    name: { type: 'string', required: true },
+                    role: { type: 'string' },
+                    dates: { type: 'string' },
+                    url: { type: 'string', format: 'url' },
+                    description: { type: 'string' },
+                    highlights: { type: 'stringList' }
+                }
+            }
+        },
+        publications: {
+            type: 'list',
+            item: {
+                type: 'object',
+                fields: {
+                    title: { type: 'string', required: true },
+                    publisher: { type: 'string' },
+                    date: { type: 'string' },
+                    url: { type: 'string', format: 'url' }
+                }
+            }
+        },
+        volunteering: {
+            type: 'list',
+            item: {
+                type: 'object',
+                fields: {
+                    role: { type: 'string', required: true },
+                    organization: { type: 'string' },
+                    dates: { type: 'string' },
+                    highlights: { type: 'stringList' }
+                }
+            }
+        },
+        certifications: { type: 'stringList' },
+        skills: {
+            type: 'object',
+            // Models sometimes return a flat list of skills instead of the two groups
+            coerce: (value) => (Array.isArray(value) || typeof value === 'string'
+                ? { technical: value, core: '' }
+                : value),
+            fields: {
+                technical: { type: 'string', join: ', ' },
+                core: { type: 'string', join: ', ' }
+            }
+        },
+        achievements: { type: 'stringList' },
+        awards: {
+            type: 'list',
+            item: {
+                type: 'object',
+                coerce: (value) => (typeof value === 'string' ? { title: value } : value),
+                fields: {
+                    title: { type: 'string', required: true },
+                    issuer: { type: 'string' },
+                    date: { type: 'string' },
+                    description: { type: 'string' }
+                }
+            }
+        },
+        languages: {
+            type: 'list',
+            // "English (Native), Arabic (Intermediate)" as one string, or a list of such strings
+            coerce: (value) => (typeof value === 'string' ? parseLanguages(value) : value),
+            item: {
+                type: 'object',
+                coerce: (value) => (typeof value === 'string' ? parseLanguages(value)[0] : value),
+                fields: {
+                    language: { type: 'string', required: true },
+                    proficiency: { type: 'string' }
+                }
+            }
+        },
+        references: {
+            type: 'list',
+            item: {
+                type: 'object',
+                fields: {
+                    name: { type: 'string', required: true },
+                    position: { type: 'string' },
+                    contact: { type: 'string' },
+                    note: { type: 'string' }
+                }
+            }
+        },
+        personal: {
+            type: 'object',
+            fields: {
+                nationality: { type: 'string' },
+                visaStatus: { type: 'string' },
+                other: { type: 'stringList' }
+            }
+        }
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/[^\s/?#]+\.[^\s/?#]+[^\s]*$/i;
+
+// A line in personal.other that is only a (possibly labelled) profile link
+const LINK_LINE = /^(?:([A-Za-z][A-Za-z ]{1,20}):\s*)?((?:https?:\/\/|www\.)\S+|(?:linkedin\.com|github\.com|gitlab\.com|behance\.net|dribbble\.com)\/\S+)$/i;
+
+// "English (Native), Arabic - Intermediate" -> [{ language, proficiency }]
+function parseLanguages(text) {
+    return String(text || '')
+        .split(/\s*[,;]\s*(?![^(]*\))/)
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const match = entry.match(/^(.+?)(?:\s*\((.+)\)|\s+[-–]\s+(.+)|\s*:\s*(.+))$/);
+            return match
+                ? { language: match[1].trim(), proficiency: (match[2] || match[3] || match[4]).trim() }
+                : { language: entry, proficiency: '' };
+        });
+}
+
+function formatLanguages(languages) {
+    return (languages || [])
+        .map(entry => (entry.proficiency ? `${entry.language} (${entry.proficiency})` : entry.language))
+        .join(', ');
+}
+
+// Bring version 1 data up to the current schema: the free-text personal.languages becomes
+// the languages list, and profile links kept under personal.other move to links.
+// Model output may mix both shapes, so this runs on everything that is validated
+function upgradeResume(data) {
+    const personal = isPlainObject(data.personal) ? data.personal : null;
+    if (!personal) {
+        return data;
+    }
+
+    const { languages: languageText, ...rest } = personal;
+    const upgraded = { ...data, personal: rest };
+
+    if (typeof languageText === 'string' && languageText.trim() && !hasItems(data.languages)) {
+        upgraded.languages = parseLanguages(languageText);
+    }
+
+    if (Array.isArray(personal.other) && !hasItems(data.links)) {
+        const links = [];
+        rest.other = personal.other.filter(item => {
+            const match = typeof item === 'string' ? item.trim().match(LINK_LINE) : null;
+            if (match) {
+                links.push({ label: match[1] || '', url: match[2] });
+            }
+            return !match;
+        });
+        if (links.length > 0) {
+            upgraded.links = links;
+        }
+    }
+
+    return upgraded;
+}
+
+function hasItems(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeString(value, rule, path, errors) {
+    if (value === undefined || value === null) {
+        value = '';
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+        value = String(value);
+    } else if (Array.isArray(value) && rule.join && value.every(item => typeof item === 'string')) {
+        value = value.map(item => item.trim()).filter(Boolean).join(rule.join);
+    }
+
+    if (typeof value !== 'string') {
+        errors.push({ path, message: `must be a string, got ${Array.isArray(value) ? 'array' : typeof value}` });
+        return '';
+    }
+
+    value = value.trim();
+    // Links are rendered as hyperlinks, so bare "linkedin.com/in/..." gets a scheme
+    if (value && rule.format === 'url' && !/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+        value = `https://${value}`;
+    }
+
+    if (rule.required && !value) {
+        errors.push({ path, message: 'is required' });
+    } else if (value && rule.format === 'email' && !EMAIL_PATTERN.test(value)) {
+        errors.push({ path, message: `is not a valid email address: "${value}"` });
+    } else if (value && rule.format === 'url' && !URL_PATTERN.test(value)) {
+        errors.push({ path, message: `is not a valid web address: "${value}"` });
+    }
+    return value;
+}
+
+function normalizeStringList(value, rule, path, errors) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    if (typeof value === 'string') {
+        value = value.split(rule.type === 'paragraphs' ? /\n\s*\n/ : /\n/);
+    }
+
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: `must be an array of strings, got ${typeof value}` });
+        return [];
+    }
+
+    return value
+        .map((item, index) => normalizeString(item, {}, `${path}[${index}]`, errors))
+        .filter(Boolean);
+}
+
+function normalizeObject(value, rule, path, errors) {
+    if (rule.coerce) {
+        value = rule.coerce(value);
+    }
+
+    if (value === undefined || value === null) {
+        value = {};
+    }
+
+    if (!isPlainObject(value)) {
+        errors.push({ path, message: `must be an object, got ${Array.isArray(value) ? 'array' : typeof value}` });
+        value = {};
+    }
+
+    const result = {};
+    for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        result[key] = normalizeValue(value[key], fieldRule, path ? `${path}.${key}` : key, errors);
+    }
+    return result;
+}
+
+function normalizeList(value, rule, path, errors) {
+    if (rule.coerce) {
+        value = rule.coerce(value);
+    }
+
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    // A single entry returned on its own instead of wrapped in an array
+    if (isPlainObject(value)) {
+        value = [value];
+    }
+
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: `must be an array, got ${typeof value}` });
+        return [];
+    }
+
+    return value.map((item, index) => normalizeValue(item, rule.item, `${path}[${index}]`, errors));
+}
+
+function normalizeValue(value, rule, path, errors) {
+    switch (rule.type) {
+        case 'string':
+            return normalizeString(value, rule, path, errors);
+        case 'stringList':
+        case 'paragraphs':
+            return normalizeStringList(value, rule, path, errors);
+        case 'object':
+            return normalizeObject(value, rule, path, errors);
+        case 'list':
+            return normalizeList(value, rule, path, errors);
+        default:
+            throw new Error(`Unknown schema type: ${rule.type}`);
+    }
+}
+
+// Returns the normalized resume, stamped with the schema version, plus any problems
+// that normalization could not fix
+function validateResume(data) {
+    const errors = [];
+
+    if (!isPlainObject(data)) {
+        errors.push({ path: '', message: 'resume must be a JSON object' });
+        return { resume: { schemaVersion: SCHEMA_VERSION, ...normalizeObject({}, resumeSchema, '', []) }, errors };
+    }
+
+    if (data.schemaVersion !== undefined && !(Number.isInteger(data.schemaVersion) && data.schemaVersion >= 1 && data.schemaVersion <= SCHEMA_VERSION)) {
+        errors.push({ path: 'schemaVersion', message: `must be a schema version from 1 to ${SCHEMA_VERSION}` });
+    }
+
+    const resume = normalizeObject(upgradeResume(data), resumeSchema, '', errors);
+    return { resume: { schemaVersion: SCHEMA_VERSION, ...resume }, errors };
+}
+
+// Error for resume data that stays invalid after normalization (and repair)
+function createValidationError(errors, message = 'Resume data failed validation') {
+    const error = new Error(message);
+    error.status = 422;
+    error.details = errors;
+    return error;
+}
+
+function formatErrors(errors) {
+    return errors.map(({ path, message }) => `- ${path || 'resume'} ${message}`).join('\n');
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    resumeSchema,
+    parseLanguages,
+    formatLanguages,
+    validateResume,
+    createValidationError,
+    formatErrors
+};
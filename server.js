@@ -2,21 +2,93 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const fs = require('fs');
-const path = require('path');
-const { Document, Packer, Paragraph, TextRun, AlignmentType, LevelFormat } = require('docx');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
+const { getTemplate, listTemplates } = require('./templates');
+const { saveBrandedTemplate, deleteBrandedTemplate } = require('./templates/branded');
+const { getFormat, checkTemplateLayout, listFormats } = require('./renderers');
+const { listLanguages } = require('./renderers/labels');
+const { resolveLayoutOptions, listLayoutOptions } = require('./renderers/layout-options');
+const { clientKeysAllowed, listProviders } = require('./providers');
+const { validateResume, createValidationError } = require('./schema/resume');
+const { checkFidelity } = require('./analysis/fidelity');
+const { scoreKeywords, analyseFormatting } = require('./analysis/ats');
+const { expandUploads, mapWithConcurrency, getBatchConcurrency, buildBatchArchive } = require('./pipeline/batch');
+const { createJob, getJob, runJob, cancelJob, describeJob, isFinished } = require('./pipeline/jobs');
+const { getMapping } = require('./pipeline/anonymize');
+const { readResumeFile } = require('./extractors');
+const { listHistory, getHistoryEntry, deleteHistoryEntry } = require('./pipeline/history');
+const { resolveLetterStyle, listLetterOptions, runCoverLetter } = require('./pipeline/cover-letter');
+const {
+    runExtraction,
+    runConversion,
+    meterUsage,
+    resolveExtractor,
+    structureResume,
+    finalResume,
+    isEnabled,
+    enforceFidelity,
+    applyOutputMode,
+    previewOutputMode,
+    renderOutput,
+    outputFileName,
+    saveHistory,
+    userId
+} = require('./pipeline/conversion');
+const {
+    authenticate,
+    requireAdmin,
+    requireUser,
+    hasBearerToken,
+    rateLimit,
+    checkQuota,
+    describeAccount,
+    createUser,
+    listUsers,
+    revokeUser,
+    summarizeUsage
+} = require('./accounts');
 
 const app = express();
 const PORT = 3000;
 
+// Proxies whose X-Forwarded-For is believed when working out req.ip, which keys the
+// anonymous rate limit. TRUST_PROXY is "true" (any proxy), a hop count such as "1", or
+// addresses/subnets as Express accepts them ("loopback", "10.0.0.0/8"). Unset, no proxy
+// is trusted and every caller behind one proxy shares that proxy's address - set it
+// when deploying behind a load balancer (on Vercel, "1")
+function trustProxySetting(value) {
+    if (!value || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+
+// Browser origins allowed to call the API - CORS_ORIGINS is a comma-separated list,
+// unset (or "*") allows any origin
+function allowedOrigin(origin) {
+    const origins = (process.env.CORS_ORIGINS || '*').split(',').map(entry => entry.trim()).filter(Boolean);
+    if (origins.includes('*')) {
+        return '*';
+    }
+    return origin && origins.includes(origin) ? origin : null;
+}
+
 // Middleware - CORS Configuration
 app.use((req, res, next) => {
     // Set CORS headers explicitly
-    res.header('Access-Control-Allow-Origin', '*');
+    const origin = allowedOrigin(req.get('Origin'));
+    if (origin) {
+        res.header('Access-Control-Allow-Origin', origin);
+    }
+    res.header('Vary', 'Origin');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
     res.header('Access-Control-Allow-Credentials', 'false');
+    res.header('Access-Control-Expose-Headers', 'Content-Disposition, X-Fidelity-Flags, X-Fidelity-Coverage, X-Fidelity-Verified, X-Tailoring-Changes, X-Batch-Converted, X-Batch-Failed, X-Candidate-Reference, X-Candidate-Mapping-Saved, X-Extractor, X-Extraction-Confidence, X-Extraction-Warnings, X-Conversion-Id, X-Target-Language, X-Translation-Warnings, X-Cover-Letter-Warnings');
     
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -25,7 +97,8 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+app.use(authenticate);
 // Don't serve static files on Vercel - only API endpoints
 // app.use(express.static('public'));
 
@@ -36,13 +109,19 @@ const upload = multer({
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// Batch uploads may include ZIP archives, so allow larger files
+const batchUpload = multer({
+    storage: storage,
+    limits: { fileSize: 50 * 1024 * 1024, files: 100 }
+});
+
 // Health check / status endpoint
 app.get('/', (req, res) => {
     res.status(200).json({ 
         status: 'Backend is running',
         backend: 'Resume Template Converter API',
         version: '1.0',
-        endpoints: ['/convert', '/health'],
+        endpoints: ['/convert', '/convert/batch', '/jobs', '/extract', '/render', '/preview', '/fidelity', '/ats-score', '/cover-letter', '/templates', '/formats', '/languages', '/layout-options', '/providers', '/anonymization/:reference', '/history', '/account', '/admin/users', '/admin/usage', '/health'],
         timestamp: new Date().toISOString()
     });
 });
@@ -55,488 +134,837 @@ app.get('/health', (req, res) => {
     });
 });
 
+// List the available document templates
+app.get('/templates', (req, res) => {
+    res.json({ templates: listTemplates() });
+});
+
+// Upload a branded .docx template with {{placeholders}} (admin only)
+app.post('/templates', requireAdmin, upload.single('template'), (req, res) => {
+    try {
+        const file = req.file;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No template file uploaded' });
+        }
+
+        const template = saveBrandedTemplate(req.body.name, file.originalname, file.buffer);
+        console.log(`Branded template stored: ${template.id}`);
+
+        res.status(201).json({ template });
+
+    } catch (error) {
+        console.error('Template upload error:', error);
+        sendError(res, error);
+    }
+});
+
+// Remove a stored branded template (admin only)
+app.delete('/templates/:id', requireAdmin, (req, res) => {
+    if (!deleteBrandedTemplate(req.params.id)) {
+        return res.status(404).json({ error: 'Template not found' });
+    }
+    res.status(204).end();
+});
+
+// List the output formats a conversion can produce
+app.get('/formats', (req, res) => {
+    res.json({ formats: listFormats() });
+});
+
+// List the languages a resume can be translated into and rendered in
+app.get('/languages', (req, res) => {
+    res.json({ languages: listLanguages() });
+});
+
+// Page sizes, margins, fonts and date alignments the layout options accept
+app.get('/layout-options', (req, res) => {
+    res.json(listLayoutOptions());
+});
+
+// List the available LLM providers and their defaults
+app.get('/providers', (req, res) => {
+    res.json({
+        providers: listProviders(),
+        default: process.env.LLM_PROVIDER || 'openai',
+        clientApiKeys: clientKeysAllowed(),
+        authRequired: process.env.AUTH_REQUIRED === 'true'
+    });
+});
+
+// The caller's limits and usage this month
+app.get('/account', (req, res) => {
+    res.json(describeAccount(req.user));
+});
+
+// Issue an access token for a member of staff - the token is only shown in this response
+app.post('/admin/users', requireAdmin, (req, res) => {
+    try {
+        const { user, token } = createUser(req.body || {});
+        console.log(`User ${user.id} created (${user.name})`);
+        res.status(201).json({ user, token });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/admin/users', requireAdmin, (req, res) => {
+    res.json({ users: listUsers() });
+});
+
+app.delete('/admin/users/:id', requireAdmin, (req, res) => {
+    if (!revokeUser(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(204).end();
+});
+
+// Conversions, tokens and cost per user for one month (?month=YYYY-MM, default this month)
+app.get('/admin/usage', requireAdmin, (req, res) => {
+    try {
+        const summary = summarizeUsage(req.query.month || undefined);
+        const names = new Map(listUsers().map(user => [user.id, user.name]));
+        summary.users.forEach(entry => {
+            entry.name = names.get(entry.user) || (entry.user === 'anonymous' ? 'Anonymous' : undefined);
+        });
+        res.json(summary);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Re-identify an anonymized candidate - only with the server's ANONYMIZATION_ADMIN_TOKEN
+app.get('/anonymization/:reference', (req, res) => {
+    if (!hasBearerToken(req, process.env.ANONYMIZATION_ADMIN_TOKEN)) {
+        return res.status(403).json({ error: 'Re-identification is not permitted' });
+    }
+
+    const mapping = getMapping(req.params.reference);
+    if (!mapping) {
+        return res.status(404).json({ error: 'Reference not found' });
+    }
+    res.json(mapping);
+});
+
+// Past conversions of the calling user, newest first - each can be rendered again without calling the model
+app.get('/history', requireUser, (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json({ conversions: listHistory(userId(req.user), limit) });
+});
+
+app.get('/history/:id', requireUser, (req, res) => {
+    const entry = getHistoryEntry(req.params.id, userId(req.user));
+    if (!entry) {
+        return res.status(404).json({ error: 'Conversion not found' });
+    }
+    res.json(entry);
+});
+
+// Render a past conversion again, optionally with another template, format or layout.
+// Translated conversions keep their language's headings unless another language is given
+app.post('/history/:id/render', requireUser, async (req, res) => {
+    try {
+        const entry = getHistoryEntry(req.params.id, userId(req.user));
+        if (!entry) {
+            return res.status(404).json({ error: 'Conversion not found' });
+        }
+
+        const template = getTemplate(req.body.template || entry.template);
+        const anonymization = entry.reference ? { reference: entry.reference } : null;
+        const { resume } = validateResume(entry.resume);
+        // A stored layout does not carry over to a branded template
+        const layout = req.body.layout ? resolveLayoutOptions(req.body.layout) : (template.type === 'docx' ? null : entry.layout);
+        const document = await renderOutput(resume, template, req.body.format || entry.format, anonymization, req.body.language || entry.language, layout);
+        console.log(`${document.format.label} re-rendered from history ${entry.id} (template: ${template.id})`);
+
+        res.set('X-Conversion-Id', entry.id);
+        sendDocument(res, document, entry.reference || entry.fileName);
+
+    } catch (error) {
+        console.error('History render error:', error);
+        sendError(res, error);
+    }
+});
+
+app.delete('/history/:id', requireUser, (req, res) => {
+    if (!deleteHistoryEntry(req.params.id, userId(req.user))) {
+        return res.status(404).json({ error: 'Conversion not found' });
+    }
+    res.status(204).end();
+});
+
 // Main conversion endpoint
-app.post('/convert', upload.single('resume'), async (req, res) => {
+app.post('/convert', rateLimit, upload.single('resume'), async (req, res) => {
     try {
-        const { apiKey } = req.body;
         const file = req.file;
 
         if (!file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        if (!apiKey) {
-            return res.status(400).json({ error: 'API key is required' });
-        }
+        const extractor = resolveExtractor(req.body);
+        checkQuota(req.user);
+
+        const template = getTemplate(req.body.template);
 
         console.log(`Processing file: ${file.originalname}`);
 
-        // Step 1: Extract text from the uploaded file
-        let resumeText = '';
-        
-        if (file.mimetype === 'application/pdf') {
-            // Extract text from PDF
-            const pdfData = await pdfParse(file.buffer);
-            resumeText = pdfData.text;
-        } else if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-                   file.mimetype === 'application/msword') {
-            // Extract text from Word document
-            const result = await mammoth.extractRawText({ buffer: file.buffer });
-            resumeText = result.value;
-        } else if (file.mimetype === 'text/plain') {
-            // Plain text file
-            resumeText = file.buffer.toString('utf-8');
-        } else {
-            return res.status(400).json({ error: 'Unsupported file type' });
+        const conversion = await runConversion(file, req.body, extractor, template, {
+            user: req.user,
+            kind: 'convert'
+        });
+        const { resumeData, fidelity, tailored, translated, extractedWith, document, anonymization, historyId } = conversion;
+        setExtractorHeaders(res, extractedWith);
+        setTranslationHeaders(res, translated);
+        if (historyId) {
+            res.set('X-Conversion-Id', historyId);
         }
 
-        console.log('Text extracted successfully');
+        // Anonymized output leaves out anything that could tie it back to the candidate
+        if (anonymization) {
+            if (req.body.responseType === 'json') {
+                return res.json({
+                    fileName: outputFileName(anonymization.reference, document.format),
+                    format: document.format.id,
+                    document: document.buffer.toString('base64'),
+                    resume: anonymization.resume,
+                    reference: anonymization.reference,
+                    mappingSaved: anonymization.mappingSaved,
+                    historyId
+                });
+            }
+
+            setAnonymizationHeaders(res, anonymization);
+            return sendDocument(res, document, anonymization.reference);
+        }
+
+        // JSON responses carry the document plus everything needed to review it
+        if (req.body.responseType === 'json') {
+            return res.json({
+                fileName: outputFileName(file.originalname, document.format),
+                format: document.format.id,
+                document: document.buffer.toString('base64'),
+                resume: finalResume(conversion),
+                original: tailored ? resumeData : undefined,
+                tailoring: tailored ? tailored.tailoring : undefined,
+                translation: translated ? translated.translation : undefined,
+                extractedWith,
+                fidelity,
+                historyId
+            });
+        }
+
+        setFidelityHeaders(res, fidelity);
+        if (tailored) {
+            res.set('X-Tailoring-Changes', String(tailored.tailoring.changeCount));
+        }
+        sendDocument(res, document, file.originalname);
+
+    } catch (error) {
+        console.error('Conversion error:', error);
+        sendError(res, error);
+    }
+});
+
+// Batch conversion - several files and/or ZIP archives in, one ZIP of documents out
+app.post('/convert/batch', rateLimit, batchUpload.array('resumes', 100), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const extractor = resolveExtractor(req.body);
+        const template = getTemplate(req.body.template);
+        getFormat(req.body.format, req.body.targetLanguage);
+        checkTemplateLayout(template, resolveLayoutOptions(req.body.layout));
+        const files = expandUploads(req.files);
+
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No resumes found in the upload' });
+        }
+        checkQuota(req.user, files.length);
+
+        // Streaming mode reports each file as it finishes (newline-delimited JSON)
+        const stream = isEnabled(req.query.stream || req.body.stream);
+        const emit = (event) => {
+            if (stream) {
+                res.write(JSON.stringify(event) + '\n');
+            }
+        };
+
+        if (stream) {
+            res.set('Content-Type', 'application/x-ndjson');
+        }
+        emit({ type: 'queued', files: files.map(file => file.originalname) });
+        console.log(`Batch conversion: ${files.length} files`);
+
+        const results = await mapWithConcurrency(files, getBatchConcurrency(), async (file, index) => {
+            const startedAt = Date.now();
+            emit({ type: 'file', index, file: file.originalname, status: 'processing' });
+
+            try {
+                const { fidelity, translated, extractedWith, document, anonymization, historyId } = await runConversion(file, req.body, extractor, template, {
+                    user: req.user,
+                    kind: 'batch'
+                });
+                const entry = {
+                    file: file.originalname,
+                    status: 'converted',
+                    historyId,
+                    extractor: extractedWith.type,
+                    confidence: extractedWith.confidence ? extractedWith.confidence.overall : undefined,
+                    warnings: extractedWith.warnings && extractedWith.warnings.length > 0 ? extractedWith.warnings : undefined,
+                    fidelityFlags: fidelity.flags.length,
+                    coverage: fidelity.coverage.ratio,
+                    language: translated ? translated.translation.language : undefined,
+                    translationWarnings: translated && translated.translation.warnings.length > 0 ? translated.translation.warnings : undefined,
+                    durationMs: Date.now() - startedAt
+                };
+                emit({ type: 'file', index, ...entry });
 
-        // Step 2: Call ChatGPT API to extract and structure resume data
-        const resumeData = await callChatGPTAPI(apiKey, resumeText);
-        console.log('Resume data structured successfully');
+                // The archive is what gets shared, so anonymized entries carry only the reference
+                if (anonymization) {
+                    const { file: _omitted, ...rest } = entry;
+                    return {
+                        entry: { reference: anonymization.reference, mappingSaved: anonymization.mappingSaved, ...rest },
+                        document: document.buffer,
+                        outputName: outputFileName(anonymization.reference, document.format)
+                    };
+                }
+                return {
+                    entry,
+                    document: document.buffer,
+                    outputName: outputFileName(file.originalname, document.format)
+                };
+            } catch (error) {
+                console.error(`Batch conversion error (${file.originalname}):`, error.message);
+                const entry = {
+                    file: file.originalname,
+                    status: 'failed',
+                    error: error.message,
+                    details: error.details,
+                    durationMs: Date.now() - startedAt
+                };
+                emit({ type: 'file', index, ...entry });
+                return { entry };
+            }
+        });
 
-        // Step 3: Generate Word document
-        const docBuffer = await generateWordDocument(resumeData);
-        console.log('Word document generated successfully');
+        const { manifest, archive } = buildBatchArchive(results);
+        const converted = manifest.filter(entry => entry.status === 'converted').length;
+        console.log(`Batch conversion finished: ${converted}/${manifest.length} converted`);
+
+        if (stream) {
+            emit({ type: 'complete', converted, failed: manifest.length - converted, manifest, archive: archive.toString('base64') });
+            return res.end();
+        }
 
-        // Send the document
         res.set({
-            'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'Content-Disposition': `attachment; filename="${file.originalname.replace(/\.[^/.]+$/, '')}_converted.docx"`
+            'Content-Type': 'application/zip',
+            'Content-Disposition': 'attachment; filename="converted_resumes.zip"',
+            'X-Batch-Converted': String(converted),
+            'X-Batch-Failed': String(manifest.length - converted)
         });
-        res.send(docBuffer);
+        res.send(archive);
 
     } catch (error) {
-        console.error('Conversion error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Batch conversion error:', error);
+        if (res.headersSent) {
+            res.write(JSON.stringify({ type: 'error', error: error.message }) + '\n');
+            return res.end();
+        }
+        sendError(res, error);
     }
 });
 
-// Function to call ChatGPT API
-async function callChatGPTAPI(apiKey, resumeText) {
-    const fetch = (await import('node-fetch')).default;
-    
-    const prompt = `Convert the following resume to a specific template format. Extract ALL information and return it as a JSON object with this EXACT structure:
-
-{
-    "name": "FULL NAME IN CAPS",
-    "location": "City, Country",
-    "phone": "+XX XXXXXXXXXX",
-    "email": "email@example.com",
-    "summary": ["paragraph1", "paragraph2"],
-    "experience": [
-        {
-            "title": "Job Title",
-            "dates": "MMM YYYY â€“ Present/MMM YYYY",
-            "company": "Company Name, Location",
-            "responsibilities": ["responsibility1", "responsibility2", "..."]
-        }
-    ],
-    "education": [
-        {
-            "degree": "Degree Name",
-            "institution": "Institution Name, Location",
-            "year": "YYYY or Pursuing"
-        }
-    ],
-    "certifications": ["cert1", "cert2"],
-    "skills": {
-        "technical": "comma-separated skills",
-        "core": "comma-separated competencies"
-    },
-    "achievements": ["achievement1", "achievement2"],
-    "personal": {
-        "nationality": "Country",
-        "languages": "Language1 (Level), Language2 (Level)",
-        "visaStatus": "Status if mentioned",
-        "other": ["other detail 1", "other detail 2"]
+// Start a background job - type "convert" produces a document, "extract" the review JSON
+app.post('/jobs', rateLimit, upload.single('resume'), (req, res) => {
+    try {
+        const file = req.file;
+        const type = req.body.type || 'convert';
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        if (!['convert', 'extract'].includes(type)) {
+            return res.status(400).json({ error: `Unknown job type: ${type}` });
+        }
+
+        const extractor = resolveExtractor(req.body);
+        checkQuota(req.user);
+        const template = getTemplate(req.body.template);
+        if (type === 'convert') {
+            checkTemplateLayout(template, resolveLayoutOptions(req.body.layout));
+        }
+        const options = { ...req.body };
+        const user = req.user;
+
+        const job = createJob(type, file.originalname, userId(user));
+        console.log(`Job ${job.id} started (${type}: ${file.originalname})`);
+
+        runJob(job, async (signal, onStage) => {
+            if (type === 'extract') {
+                const extraction = await runExtraction(file, options, extractor, { onStage, signal, user, kind: 'extract' });
+                return { json: extractionResponse(file, extraction) };
+            }
+
+            const { document, anonymization, historyId } = await runConversion(file, options, extractor, template, { onStage, signal, user, kind: 'convert' });
+            return { document, fileName: anonymization ? anonymization.reference : undefined, historyId };
+        });
+
+        res.status(202).json({
+            job: describeJob(job),
+            links: {
+                status: `/jobs/${job.id}`,
+                events: `/jobs/${job.id}/events`,
+                result: `/jobs/${job.id}/result`
+            }
+        });
+
+    } catch (error) {
+        console.error('Job creation error:', error);
+        sendError(res, error);
     }
-}
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id, userId(req.user));
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job: describeJob(job) });
+});
 
-IMPORTANT RULES:
-- Extract ALL information from the resume
-- Convert name to ALL CAPS
-- Keep professional summary in exactly 2 paragraphs (combine if more, split if one)
-- Include ALL job experiences with ALL bullet points
-- Preserve ALL dates and details exactly as mentioned
-- If a section doesn't exist, use empty array or empty string
-- Return ONLY the JSON object, no other text or markdown
+// Server-Sent Events stream of a job's stage transitions (past events are replayed)
+app.get('/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id, userId(req.user));
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-Resume to convert:
-${resumeText}`;
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
 
+    const send = (event) => {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        job.emitter.off('event', send);
+    };
+
+    job.emitter.on('event', send);
+    req.on('close', cleanup);
+    job.events.slice().forEach(send);
+});
+
+// Download the finished job's output
+app.get('/jobs/:id/result', (req, res) => {
+    const job = getJob(req.params.id, userId(req.user));
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!isFinished(job)) {
+        return res.status(409).json({ error: 'Job is still running', job: describeJob(job) });
+    }
+
+    if (job.status !== 'completed') {
+        return res.status(410).json({ error: job.error || `Job ${job.status}`, job: describeJob(job) });
+    }
+
+    if (job.result.json) {
+        return res.json(job.result.json);
+    }
+    if (job.result.historyId) {
+        res.set('X-Conversion-Id', job.result.historyId);
+    }
+    sendDocument(res, job.result.document, job.result.fileName || job.fileName);
+});
+
+// Cancel a running job
+app.delete('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id, userId(req.user));
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!cancelJob(job)) {
+        return res.status(409).json({ error: `Job already ${job.status}`, job: describeJob(job) });
+    }
+    console.log(`Job ${job.id} cancelled`);
+    res.json({ job: describeJob(job) });
+});
+
+// Extraction endpoint - returns the structured resume JSON for review
+app.post('/extract', rateLimit, upload.single('resume'), async (req, res) => {
+    try {
+        const file = req.file;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const extractor = resolveExtractor(req.body);
+        checkQuota(req.user);
+
+        console.log(`Extracting file: ${file.originalname}`);
+
+        const extraction = await runExtraction(file, req.body, extractor, { user: req.user, kind: 'extract' });
+        res.json(extractionResponse(file, extraction));
+
+    } catch (error) {
+        console.error('Extraction error:', error);
+        sendError(res, error);
+    }
+});
+
+// Render endpoint - turns a (possibly edited) resume JSON into a Word document. language
+// picks the headings for a translated resume; translated skips the source coverage flag;
+// layout carries the page, font, date, footer and section options chosen in the preview
+app.post('/render', async (req, res) => {
+    try {
+        const { resume, fileName, sourceText, language } = req.body || {};
+
+        if (!resume) {
+            return res.status(400).json({ error: 'Resume data is required' });
+        }
+
+        const template = getTemplate(req.body.template);
+        getFormat(req.body.format, language);
+        const layout = resolveLayoutOptions(req.body.layout);
+        checkTemplateLayout(template, layout);
+
+        const { resume: resumeData, errors } = validateResume(resume);
+        if (errors.length > 0) {
+            throw createValidationError(errors);
+        }
+
+        // The fidelity check needs the source text. Without it the caller has to acknowledge
+        // rendering an unchecked resume, and strict mode cannot be met at all
+        if (sourceText) {
+            const fidelity = checkFidelity(resumeData, sourceText, { translated: isEnabled(req.body.translated) });
+            enforceFidelity(fidelity, req.body);
+            setFidelityHeaders(res, fidelity);
+        } else if (isEnabled(req.body.strict) || !isEnabled(req.body.acknowledgeFlags)) {
+            const error = new Error(isEnabled(req.body.strict)
+                ? 'Strict mode needs the source text the resume was extracted from (sourceText)'
+                : 'Send the source text the resume was extracted from (sourceText) so it can be checked, or acknowledgeFlags to render it unchecked');
+            error.status = 400;
+            error.code = 'source_text_required';
+            throw error;
+        } else {
+            res.set('X-Fidelity-Verified', 'false');
+        }
+
+        const anonymization = applyOutputMode(resumeData, req.body, fileName);
+        const document = await renderOutput(anonymization ? anonymization.resume : resumeData, template, req.body.format, anonymization, language, layout);
+        console.log(`${document.format.label} generated successfully (template: ${template.id})`);
+
+        const historyId = saveHistory({
+            user: req.user,
+            fileName: fileName || 'resume',
+            template,
+            document,
+            resume: resumeData,
+            extractedWith: { type: 'edited' },
+            language,
+            layout,
+            anonymization
+        });
+        if (historyId) {
+            res.set('X-Conversion-Id', historyId);
+        }
+
+        if (anonymization) {
+            setAnonymizationHeaders(res, anonymization);
+            return sendDocument(res, document, anonymization.reference);
+        }
+        sendDocument(res, document, fileName || 'resume');
+
+    } catch (error) {
+        console.error('Render error:', error);
+        sendError(res, error);
+    }
+});
+
+// Live preview - the resume as the HTML page the Word output mirrors, with the same
+// template, language and layout options as /render. Nothing is checked or recorded
+app.post('/preview', async (req, res) => {
+    try {
+        const { resume, language } = req.body || {};
+
+        if (!resume) {
+            return res.status(400).json({ error: 'Resume data is required' });
+        }
+
+        const template = getTemplate(req.body.template);
+        if (template.type === 'docx') {
+            return res.status(400).json({ error: 'Branded templates can only be previewed in Word' });
+        }
+
+        const { resume: resumeData, errors } = validateResume(resume);
+        if (errors.length > 0) {
+            throw createValidationError(errors);
+        }
+
+        const anonymization = previewOutputMode(resumeData, req.body);
+        const document = await renderOutput(anonymization ? anonymization.resume : resumeData, template, 'html', anonymization, language, resolveLayoutOptions(req.body.layout));
+        res.set('Content-Type', document.format.contentType);
+        res.send(document.buffer);
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Re-run the fidelity check, e.g. after the resume was edited
+app.post('/fidelity', (req, res) => {
+    try {
+        const { resume, sourceText } = req.body || {};
+
+        if (!resume || !sourceText) {
+            return res.status(400).json({ error: 'Resume data and source text are required' });
+        }
+
+        const { resume: resumeData, errors } = validateResume(resume);
+        if (errors.length > 0) {
+            throw createValidationError(errors);
+        }
+
+        res.json({ fidelity: checkFidelity(resumeData, sourceText, { translated: isEnabled(req.body.translated) }) });
+
+    } catch (error) {
+        console.error('Fidelity check error:', error);
+        sendError(res, error);
+    }
+});
+
+// ATS compatibility report - accepts an uploaded resume or the structured JSON
+app.post('/ats-score', rateLimit, upload.single('resume'), async (req, res) => {
     try {
-        console.log('Calling ChatGPT API...');
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }],
-                temperature: 0.3,
-                max_tokens: 4000
-            })
+        const { jobDescription, resume } = req.body;
+        const file = req.file;
+
+        if (!jobDescription || !jobDescription.trim()) {
+            return res.status(400).json({ error: 'Job description is required' });
+        }
+
+        if (!file && !resume) {
+            return res.status(400).json({ error: 'A resume file or resume data is required' });
+        }
+
+        const template = getTemplate(req.body.template);
+        const formattingRisks = {};
+        let resumeData;
+
+        if (file) {
+            const extractor = resolveExtractor(req.body);
+            checkQuota(req.user);
+            const source = await readResumeFile(file);
+            ({ resumeData } = await meterUsage({ user: req.user, kind: 'ats-score', fileName: file.originalname }, extractor,
+                (metered) => structureResume(metered, source, req.body)));
+
+            // Risks in the document the candidate sent us
+            formattingRisks.source = analyseFormatting({
+                buffer: file.buffer,
+                isDocx: source.type === 'docx',
+                text: source.text
+            });
+        } else {
+            const { resume: validated, errors } = validateResume(resume);
+            if (errors.length > 0) {
+                throw createValidationError(errors);
+            }
+            resumeData = validated;
+        }
+
+        // Risks in the document we would produce with the selected template
+        const { buffer } = await renderOutput(resumeData, template, 'docx');
+        formattingRisks.output = analyseFormatting({ buffer, isDocx: true });
+
+        res.json({
+            ...scoreKeywords(resumeData, jobDescription),
+            formattingRisks,
+            template: template.id
         });
 
-        if (!response.ok) {
-            const errorData = await response.json();
-            const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
-            throw new Error(`ChatGPT API error: ${errorMessage}`);
-        }
-
-        const data = await response.json();
-        const responseText = data.choices[0].message.content;
-        
-        // Parse JSON from ChatGPT's response
-        try {
-            return JSON.parse(responseText);
-        } catch (e) {
-            // Try to extract JSON if wrapped in markdown
-            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
+    } catch (error) {
+        console.error('ATS scoring error:', error);
+        sendError(res, error);
+    }
+});
+
+// Tones and lengths a cover letter can be written in
+app.get('/cover-letter/options', (req, res) => {
+    res.json(listLetterOptions());
+});
+
+// Cover letter for a job - from the structured resume (JSON, or a JSON string in a form
+// upload) or from an uploaded resume, as a Word document in the template's typography
+app.post('/cover-letter', rateLimit, upload.single('resume'), async (req, res) => {
+    try {
+        const { jobDescription } = req.body;
+        const file = req.file;
+
+        if (!jobDescription || !jobDescription.trim()) {
+            return res.status(400).json({ error: 'Job description is required' });
+        }
+
+        if (!file && !req.body.resume) {
+            return res.status(400).json({ error: 'A resume file or resume data is required' });
+        }
+
+        resolveLetterStyle(req.body);
+        const template = getTemplate(req.body.template);
+        let resume;
+        if (!file) {
+            const { resume: validated, errors } = validateResume(parseResumeField(req.body.resume));
+            if (errors.length > 0) {
+                throw createValidationError(errors);
             }
-            throw new Error('Failed to parse ChatGPT response as JSON');
+            resume = validated;
         }
 
+        const extractor = resolveExtractor(req.body);
+        checkQuota(req.user);
+
+        const { letter, warnings, document } = await runCoverLetter({ file, resume }, req.body, extractor, template, { user: req.user });
+        const fileName = req.body.fileName || (file ? file.originalname : resume.name);
+        console.log(`Cover letter generated (template: ${template.id}, ${warnings.length} warning(s))`);
+
+        if (req.body.responseType === 'json') {
+            return res.json({
+                fileName: outputFileName(fileName, document.format, 'cover_letter'),
+                format: document.format.id,
+                document: document.buffer.toString('base64'),
+                letter,
+                warnings
+            });
+        }
+
+        res.set('X-Cover-Letter-Warnings', String(warnings.length));
+        sendDocument(res, document, fileName, 'cover_letter');
+
     } catch (error) {
-        console.error('ChatGPT API error:', error);
+        console.error('Cover letter error:', error);
+        sendError(res, error);
+    }
+});
+
+// Form uploads send the resume object as a JSON string
+function parseResumeField(resume) {
+    if (typeof resume !== 'string') {
+        return resume;
+    }
+    try {
+        return JSON.parse(resume);
+    } catch (e) {
+        const error = new Error('Resume data is not valid JSON');
+        error.status = 400;
         throw error;
     }
 }
 
-// Function to generate Word document - EXACT COPY FROM ORIGINAL
-async function generateWordDocument(data) {
-    const doc = new Document({
-        numbering: {
-            config: [{
-                reference: "bullet-list",
-                levels: [{
-                    level: 0,
-                    format: LevelFormat.BULLET,
-                    text: "â€¢",
-                    alignment: AlignmentType.LEFT,
-                    style: {
-                        paragraph: {
-                            indent: { left: 720, hanging: 360 }
-                        }
-                    }
-                }]
-            }]
-        },
-        sections: [{
-            properties: {
-                page: {
-                    margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 }
-                }
-            },
-            children: [
-                // Name
-                new Paragraph({
-                    alignment: AlignmentType.CENTER,
-                    spacing: { after: 100 },
-                    children: [
-                        new TextRun({
-                            text: data.name || "NAME",
-                            size: 32,
-                            bold: true
-                        })
-                    ]
-                }),
-                
-                // Location and phone
-                new Paragraph({
-                    alignment: AlignmentType.CENTER,
-                    spacing: { after: 50 },
-                    children: [
-                        new TextRun({
-                            text: `${data.location || "Location"}|${data.phone || "Phone"}`,
-                            size: 22
-                        })
-                    ]
-                }),
-                
-                // Email
-                new Paragraph({
-                    alignment: AlignmentType.CENTER,
-                    spacing: { after: 200 },
-                    children: [
-                        new TextRun({
-                            text: data.email || "email@example.com",
-                            size: 22,
-                            underline: {}
-                        })
-                    ]
-                }),
-                
-                // Professional Summary
-                ...(data.summary || []).map((para, index) => 
-                    new Paragraph({
-                        alignment: AlignmentType.JUSTIFIED,
-                        spacing: { after: index === data.summary.length - 1 ? 240 : 120 },
-                        children: [
-                            new TextRun({
-                                text: para,
-                                size: 22
-                            })
-                        ]
-                    })
-                ),
-                
-                // EXPERIENCE Section
-                new Paragraph({
-                    spacing: { before: 120, after: 120 },
-                    children: [
-                        new TextRun({
-                            text: "EXPERIENCE",
-                            size: 24,
-                            bold: true
-                        })
-                    ]
-                }),
-                
-                // Jobs
-                ...(data.experience || []).flatMap((job, jobIndex) => [
-                    new Paragraph({
-                        spacing: { after: 60 },
-                        children: [
-                            new TextRun({ 
-                                text: job.title || "Job Title", 
-                                bold: true, 
-                                size: 22 
-                            }),
-                            new TextRun({ 
-                                text: `                                         ${job.dates || "Dates"}`, 
-                                size: 22 
-                            })
-                        ]
-                    }),
-                    new Paragraph({
-                        spacing: { after: 80 },
-                        children: [
-                            new TextRun({ 
-                                text: job.company || "Company Name", 
-                                size: 22 
-                            })
-                        ]
-                    }),
-                    ...(job.responsibilities || []).map((resp, respIndex) => 
-                        new Paragraph({
-                            numbering: { reference: "bullet-list", level: 0 },
-                            spacing: { 
-                                after: respIndex === job.responsibilities.length - 1 && 
-                                       jobIndex < data.experience.length - 1 ? 120 : 60 
-                            },
-                            children: [
-                                new TextRun({ 
-                                    text: resp, 
-                                    size: 22 
-                                })
-                            ]
-                        })
-                    )
-                ]),
-                
-                // EDUCATION Section
-                new Paragraph({
-                    spacing: { before: 120, after: 120 },
-                    children: [
-                        new TextRun({
-                            text: "EDUCATON",
-                            size: 24,
-                            bold: true
-                        })
-                    ]
-                }),
-                
-                // Education entries
-                ...(data.education || []).flatMap((edu, index) => [
-                    new Paragraph({
-                        spacing: { after: 60 },
-                        children: [
-                            new TextRun({ 
-                                text: edu.degree || "Degree", 
-                                bold: true, 
-                                size: 22 
-                            })
-                        ]
-                    }),
-                    new Paragraph({
-                        spacing: { after: index === data.education.length - 1 ? 180 : 120 },
-                        children: [
-                            new TextRun({ 
-                                text: `${edu.institution || "Institution"} | ${edu.year || "Year"}`, 
-                                size: 22 
-                            })
-                        ]
-                    })
-                ]),
-                
-                // CERTIFICATIONS Section (if exists)
-                ...(data.certifications && data.certifications.length > 0 ? [
-                    new Paragraph({
-                        spacing: { before: 120, after: 120 },
-                        children: [
-                            new TextRun({
-                                text: "CERTIFICATIONS",
-                                size: 24,
-                                bold: true
-                            })
-                        ]
-                    }),
-                    ...data.certifications.map((cert, index) => 
-                        new Paragraph({
-                            numbering: { reference: "bullet-list", level: 0 },
-                            spacing: { after: index === data.certifications.length - 1 ? 180 : 60 },
-                            children: [
-                                new TextRun({ 
-                                    text: cert, 
-                                    size: 22 
-                                })
-                            ]
-                        })
-                    )
-                ] : []),
-                
-                // KEY ACHIEVEMENTS Section (if exists)
-                ...(data.achievements && data.achievements.length > 0 ? [
-                    new Paragraph({
-                        spacing: { before: 120, after: 120 },
-                        children: [
-                            new TextRun({
-                                text: "KEY ACHIEVEMENTS",
-                                size: 24,
-                                bold: true
-                            })
-                        ]
-                    }),
-                    ...data.achievements.map((achievement, index) => 
-                        new Paragraph({
-                            numbering: { reference: "bullet-list", level: 0 },
-                            spacing: { after: index === data.achievements.length - 1 ? 180 : 60 },
-                            children: [
-                                new TextRun({ 
-                                    text: achievement, 
-                                    size: 22 
-                                })
-                            ]
-                        })
-                    )
-                ] : []),
-                
-                // SKILLS Section
-                new Paragraph({
-                    spacing: { before: 120, after: 120 },
-                    children: [
-                        new TextRun({
-                            text: "SKILLS",
-                            size: 24,
-                            bold: true
-                        })
-                    ]
-                }),
-                new Paragraph({
-                    alignment: AlignmentType.JUSTIFIED,
-                    spacing: { after: 100 },
-                    children: [
-                        new TextRun({ 
-                            text: "Technical skills: ", 
-                            bold: true, 
-                            size: 22 
-                        }),
-                        new TextRun({ 
-                            text: data.skills?.technical || "Skills to be added", 
-                            size: 22 
-                        })
-                    ]
-                }),
-                new Paragraph({
-                    alignment: AlignmentType.JUSTIFIED,
-                    spacing: { after: 180 },
-                    children: [
-                        new TextRun({ 
-                            text: "Core competencies: ", 
-                            bold: true, 
-                            size: 22 
-                        }),
-                        new TextRun({ 
-                            text: data.skills?.core || "Competencies to be added", 
-                            size: 22 
-                        })
-                    ]
-                }),
-                
-                // PERSONAL DETAILS Section
-                new Paragraph({
-                    spacing: { before: 120, after: 120 },
-                    children: [
-                        new TextRun({
-                            text: "PERSONAL DETAILS",
-                            size: 24,
-                            bold: true
-                        })
-                    ]
-                }),
-                new Paragraph({
-                    numbering: { reference: "bullet-list", level: 0 },
-                    spacing: { after: 60 },
-                    children: [
-                        new TextRun({ 
-                            text: `Nationality: ${data.personal?.nationality || "To be added"}`, 
-                            size: 22 
-                        })
-                    ]
-                }),
-                ...(data.personal?.languages ? [
-                    new Paragraph({
-                        numbering: { reference: "bullet-list", level: 0 },
-                        spacing: { after: 60 },
-                        children: [
-                            new TextRun({ 
-                                text: `Languages: ${data.personal.languages}`, 
-                                size: 22 
-                            })
-                        ]
-                    })
-                ] : []),
-                ...(data.personal?.visaStatus ? [
-                    new Paragraph({
-                        numbering: { reference: "bullet-list", level: 0 },
-                        spacing: { after: 60 },
-                        children: [
-                            new TextRun({ 
-                                text: `Visa Status: ${data.personal.visaStatus}`, 
-                                size: 22 
-                            })
-                        ]
-                    })
-                ] : []),
-                ...(data.personal?.other || []).map((detail, index) => 
-                    new Paragraph({
-                        numbering: { reference: "bullet-list", level: 0 },
-                        spacing: { after: 60 },
-                        children: [
-                            new TextRun({ 
-                                text: detail, 
-                                size: 22 
-                            })
-                        ]
-                    })
-                )
-            ]
-        }]
+// Response body shared by /extract and extraction jobs
+function extractionResponse(file, extraction) {
+    const { resumeText, resumeData, fidelity, tailored, translated, extractedWith } = extraction;
+    return {
+        fileName: file.originalname,
+        resume: finalResume(extraction),
+        original: tailored ? resumeData : undefined,
+        tailoring: tailored ? tailored.tailoring : undefined,
+        translation: translated ? translated.translation : undefined,
+        extractedWith,
+        sourceText: resumeText,
+        fidelity
+    };
+}
+
+function setExtractorHeaders(res, extractedWith) {
+    res.set('X-Extractor', extractedWith.type);
+    if (extractedWith.confidence) {
+        res.set('X-Extraction-Confidence', String(extractedWith.confidence.overall));
+    }
+    if (extractedWith.warnings && extractedWith.warnings.length > 0) {
+        res.set('X-Extraction-Warnings', String(extractedWith.warnings.length));
+    }
+}
+
+function setTranslationHeaders(res, translated) {
+    if (!translated) {
+        return;
+    }
+    res.set('X-Target-Language', translated.translation.language);
+    if (translated.translation.warnings.length > 0) {
+        res.set('X-Translation-Warnings', String(translated.translation.warnings.length));
+    }
+}
+
+// Report a failure - validation errors carry a details list
+function sendError(res, error) {
+    const body = { error: error.message };
+    if (error.code && error.status) {
+        body.code = error.code;
+    }
+    if (error.details) {
+        body.details = error.details;
+    }
+    if (error.fidelity) {
+        body.fidelity = error.fidelity;
+    }
+    res.status(error.status || 500).json(body);
+}
+
+function setAnonymizationHeaders(res, anonymization) {
+    res.set({
+        'X-Candidate-Reference': anonymization.reference,
+        'X-Candidate-Mapping-Saved': String(anonymization.mappingSaved)
     });
+}
 
-    return await Packer.toBuffer(doc);
+function setFidelityHeaders(res, report) {
+    res.set({
+        'X-Fidelity-Verified': 'true',
+        'X-Fidelity-Flags': String(report.flags.length),
+        'X-Fidelity-Coverage': String(report.coverage.ratio)
+    });
+}
+
+// Headers may only carry Latin-1, so names in other scripts (or with curly quotes and
+// dashes) go in filename* as UTF-8, with an ASCII stand-in for older clients
+function contentDisposition(fileName) {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Send a rendered document as a download
+function sendDocument(res, document, originalName, suffix) {
+    res.set({
+        'Content-Type': document.format.contentType,
+        'Content-Disposition': contentDisposition(outputFileName(originalName, document.format, suffix))
+    });
+    res.send(document.buffer);
 }
 
+// Errors passed on by middleware (authentication, rate limits, uploads)
+app.use((error, req, res, next) => {
+    sendError(res, error);
+});
+
 // For Vercel deployment - export the app
 module.exports = app;
 
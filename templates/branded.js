@@ -0,0 +1,182 @@
+// Customer-supplied .docx templates filled in with {{placeholders}}
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const { formatLanguages } = require('../schema/resume');
+
+const TEMPLATE_DIR = process.env.BRANDED_TEMPLATE_DIR || path.join(__dirname, '..', 'data', 'branded-templates');
+const ID_PATTERN = /^branded-[a-z0-9-]+$/;
+
+// Resolve dotted paths such as {{skills.technical}} and {{.}} inside loops
+function parser(tag) {
+    return {
+        get(scope) {
+            if (tag === '.') {
+                return scope;
+            }
+            return tag.split('.').reduce((value, key) => (value == null ? undefined : value[key]), scope);
+        }
+    };
+}
+
+function createDocument(buffer) {
+    let zip;
+    try {
+        zip = new PizZip(buffer);
+    } catch (e) {
+        throw templateError('Template is not a valid .docx file');
+    }
+
+    if (!zip.file('word/document.xml')) {
+        throw templateError('Template is not a valid .docx file');
+    }
+
+    try {
+        return new Docxtemplater(zip, {
+            delimiters: { start: '{{', end: '}}' },
+            paragraphLoop: true,
+            linebreaks: true,
+            parser,
+            nullGetter: () => ''
+        });
+    } catch (e) {
+        throw templateError(`Template placeholders are invalid: ${describeErrors(e)}`);
+    }
+}
+
+function templateError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// docxtemplater collects one error per bad tag under properties.errors
+function describeErrors(e) {
+    return (e.properties?.errors || [e])
+        .map(err => err.properties?.explanation || err.message)
+        .join('; ');
+}
+
+// Shape the extracted resume so every placeholder resolves, even for missing sections.
+// {{personal.languages}} from templates made for schema version 1 still gets the list as text
+function toTemplateData(data) {
+    const summary = data.summary || [];
+    const languages = data.languages || [];
+
+    return {
+        ...data,
+        summary,
+        summaryText: summary.join('\n\n'),
+        experience: (data.experience || []).map(job => ({
+            ...job,
+            responsibilities: job.responsibilities || []
+        })),
+        education: data.education || [],
+        links: data.links || [],
+        projects: (data.projects || []).map(project => ({ ...project, highlights: project.highlights || [] })),
+        publications: data.publications || [],
+        volunteering: (data.volunteering || []).map(entry => ({ ...entry, highlights: entry.highlights || [] })),
+        certifications: data.certifications || [],
+        achievements: data.achievements || [],
+        awards: data.awards || [],
+        languages,
+        references: data.references || [],
+        skills: { technical: '', core: '', ...data.skills },
+        personal: {
+            nationality: '',
+            languages: formatLanguages(languages),
+            visaStatus: '',
+            ...data.personal,
+            other: data.personal?.other || []
+        }
+    };
+}
+
+function metadataPath(id) {
+    return path.join(TEMPLATE_DIR, `${id}.json`);
+}
+
+function documentPath(id) {
+    return path.join(TEMPLATE_DIR, `${id}.docx`);
+}
+
+// Validate and store an uploaded template, returning its metadata
+function saveBrandedTemplate(name, originalName, buffer) {
+    if (!/\.docx$/i.test(originalName || '')) {
+        throw templateError('Branded templates must be .docx files');
+    }
+
+    // Compiling catches unbalanced loops and malformed tags before we store anything
+    createDocument(buffer);
+
+    const slug = (name || path.basename(originalName, path.extname(originalName)))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40) || 'template';
+
+    const metadata = {
+        id: `branded-${slug}-${crypto.randomBytes(4).toString('hex')}`,
+        name: name || originalName,
+        originalName,
+        uploadedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(TEMPLATE_DIR, { recursive: true });
+    fs.writeFileSync(documentPath(metadata.id), buffer);
+    fs.writeFileSync(metadataPath(metadata.id), JSON.stringify(metadata, null, 2));
+
+    return metadata;
+}
+
+function listBrandedTemplates() {
+    if (!fs.existsSync(TEMPLATE_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(TEMPLATE_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf-8')))
+        .sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+}
+
+function getBrandedTemplate(id) {
+    if (!ID_PATTERN.test(id) || !fs.existsSync(metadataPath(id))) {
+        return null;
+    }
+
+    return JSON.parse(fs.readFileSync(metadataPath(id), 'utf-8'));
+}
+
+function deleteBrandedTemplate(id) {
+    if (!getBrandedTemplate(id)) {
+        return false;
+    }
+
+    fs.rmSync(documentPath(id), { force: true });
+    fs.rmSync(metadataPath(id), { force: true });
+    return true;
+}
+
+// Fill a stored template - styles, headers, footers and images are left untouched
+function fillBrandedTemplate(template, data) {
+    const doc = createDocument(fs.readFileSync(documentPath(template.id)));
+
+    try {
+        doc.render(toTemplateData(data));
+    } catch (e) {
+        throw new Error(`Failed to fill template "${template.name}": ${describeErrors(e)}`);
+    }
+
+    return doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+    saveBrandedTemplate,
+    listBrandedTemplates,
+    getBrandedTemplate,
+    deleteBrandedTemplate,
+    fillBrandedTemplate
+};
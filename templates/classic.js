@@ -0,0 +1,76 @@
+// Traditional serif layout with education ahead of experience
+module.exports = {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Times New Roman, underlined headings, education first',
+
+    page: {
+        size: { width: 12240, height: 15840 },
+        margin: { top: 1440, right: 1260, bottom: 1440, left: 1260 }
+    },
+
+    fonts: {
+        family: 'Times New Roman',
+        headingFamily: 'Times New Roman',
+        size: 24,
+        nameSize: 36,
+        headingSize: 24
+    },
+
+    header: {
+        alignment: 'center',
+        contactSeparator: ' | ',
+        underlineEmail: false
+    },
+
+    headingStyle: {
+        bold: true,
+        color: null,
+        underline: true
+    },
+
+    bullet: {
+        text: '–',
+        indent: { left: 720, hanging: 360 }
+    },
+
+    // Job dates on a right-aligned tab stop ('right') or after the title ('inline')
+    dates: { alignment: 'right' },
+
+    footer: { pageNumbers: false },
+
+    spacing: {
+        name: 120,
+        contact: 40,
+        email: 240,
+        paragraph: 120,
+        summaryEnd: 200,
+        headingBefore: 240,
+        headingAfter: 120,
+        line: 60,
+        company: 80,
+        skillsLine: 100,
+        entryGap: 160,
+        sectionEnd: 160
+    },
+
+    sections: [
+        'summary', 'education', 'experience', 'projects', 'publications', 'certifications',
+        'skills', 'achievements', 'awards', 'volunteering', 'personal', 'references'
+    ],
+
+    headings: {
+        summary: 'Summary',
+        experience: 'Professional Experience',
+        education: 'Education',
+        certifications: 'Certifications',
+        achievements: 'Honours & Achievements',
+        skills: 'Skills',
+        personal: 'Personal Details',
+        projects: 'Projects',
+        publications: 'Publications',
+        volunteering: 'Volunteer Work',
+        awards: 'Awards',
+        references: 'References'
+    }
+};
@@ -0,0 +1,79 @@
+// Elite Professional Solutions house style - the original converter layout
+module.exports = {
+    id: 'elite',
+    name: 'Elite Professional',
+    description: 'Centered header, 11pt text, experience first',
+
+    // Page setup (twips - 1440 per inch)
+    page: {
+        size: { width: 11906, height: 16838 },
+        margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 }
+    },
+
+    // Font sizes are in half-points (22 = 11pt)
+    fonts: {
+        family: null,
+        headingFamily: null,
+        size: 22,
+        nameSize: 32,
+        headingSize: 24
+    },
+
+    header: {
+        alignment: 'center',
+        contactSeparator: '|',
+        underlineEmail: true
+    },
+
+    headingStyle: {
+        bold: true,
+        color: null,
+        underline: false
+    },
+
+    bullet: {
+        text: '•',
+        indent: { left: 720, hanging: 360 }
+    },
+
+    // Job dates on a right-aligned tab stop ('right') or after the title ('inline')
+    dates: { alignment: 'right' },
+
+    footer: { pageNumbers: false },
+
+    // Paragraph spacing (twips)
+    spacing: {
+        name: 100,
+        contact: 50,
+        email: 200,
+        paragraph: 120,
+        summaryEnd: 240,
+        headingBefore: 120,
+        headingAfter: 120,
+        line: 60,
+        company: 80,
+        skillsLine: 100,
+        entryGap: 120,
+        sectionEnd: 180
+    },
+
+    sections: [
+        'summary', 'experience', 'projects', 'education', 'certifications', 'achievements',
+        'awards', 'publications', 'volunteering', 'skills', 'personal', 'references'
+    ],
+
+    headings: {
+        summary: '',
+        experience: 'EXPERIENCE',
+        education: 'EDUCATION',
+        certifications: 'CERTIFICATIONS',
+        achievements: 'KEY ACHIEVEMENTS',
+        skills: 'SKILLS',
+        personal: 'PERSONAL DETAILS',
+        projects: 'PROJECTS',
+        publications: 'PUBLICATIONS',
+        volunteering: 'VOLUNTEER EXPERIENCE',
+        awards: 'AWARDS',
+        references: 'REFERENCES'
+    }
+};
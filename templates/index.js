@@ -0,0 +1,58 @@
+// Template registry - built-in layouts rendered by generateWordDocument plus
+// uploaded branded .docx templates (type 'docx')
+const elite = require('./elite');
+const modern = require('./modern');
+const classic = require('./classic');
+const { listBrandedTemplates, getBrandedTemplate } = require('./branded');
+
+const DEFAULT_TEMPLATE = elite.id;
+
+const registry = new Map([elite, modern, classic].map(template => [template.id, template]));
+
+// Look up a template by id, falling back to the default when none is given
+function getTemplate(id) {
+    if (!id) {
+        return registry.get(DEFAULT_TEMPLATE);
+    }
+
+    const template = registry.get(id) || toBrandedTemplate(getBrandedTemplate(id));
+    if (!template) {
+        const error = new Error(`Unknown template: ${id}`);
+        error.status = 400;
+        throw error;
+    }
+    return template;
+}
+
+function toBrandedTemplate(metadata) {
+    return metadata ? { ...metadata, type: 'docx' } : null;
+}
+
+// Summaries for GET /templates and the frontend picker
+function listTemplates() {
+    const builtIn = Array.from(registry.values()).map(template => ({
+        id: template.id,
+        type: 'builtin',
+        name: template.name,
+        description: template.description,
+        sections: template.sections,
+        default: template.id === DEFAULT_TEMPLATE
+    }));
+
+    const branded = listBrandedTemplates().map(template => ({
+        id: template.id,
+        type: 'docx',
+        name: template.name,
+        description: `Branded template (${template.originalName})`,
+        uploadedAt: template.uploadedAt,
+        default: false
+    }));
+
+    return [...builtIn, ...branded];
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    getTemplate,
+    listTemplates
+};
@@ -0,0 +1,77 @@
+// Left-aligned layout with colored headings and skills near the top
+module.exports = {
+    id: 'modern',
+    name: 'Modern',
+    description: 'Left-aligned Calibri layout with skills before experience',
+
+    page: {
+        size: { width: 11906, height: 16838 },
+        margin: { top: 1080, right: 1080, bottom: 1080, left: 1080 }
+    },
+
+    fonts: {
+        family: 'Calibri',
+        headingFamily: 'Calibri Light',
+        size: 21,
+        nameSize: 40,
+        headingSize: 26
+    },
+
+    header: {
+        alignment: 'left',
+        contactSeparator: ' · ',
+        underlineEmail: false
+    },
+
+    headingStyle: {
+        bold: true,
+        color: '2B6CB0',
+        underline: false
+    },
+
+    bullet: {
+        text: '▪',
+        indent: { left: 540, hanging: 270 }
+    },
+
+    // Job dates on a right-aligned tab stop ('right') or after the title ('inline')
+    dates: { alignment: 'right' },
+
+    footer: { pageNumbers: false },
+
+    spacing: {
+        name: 60,
+        contact: 40,
+        email: 160,
+        paragraph: 100,
+        summaryEnd: 160,
+        headingBefore: 200,
+        headingAfter: 80,
+        line: 40,
+        company: 60,
+        skillsLine: 80,
+        entryGap: 140,
+        sectionEnd: 120
+    },
+
+    sections: [
+        'summary', 'skills', 'experience', 'projects', 'education', 'certifications', 'achievements',
+        'awards', 'publications', 'volunteering', 'languages', 'personal', 'references'
+    ],
+
+    headings: {
+        summary: 'PROFILE',
+        experience: 'PROFESSIONAL EXPERIENCE',
+        education: 'EDUCATION',
+        certifications: 'CERTIFICATIONS',
+        achievements: 'ACHIEVEMENTS',
+        skills: 'SKILLS',
+        personal: 'ADDITIONAL INFORMATION',
+        projects: 'PROJECTS',
+        publications: 'PUBLICATIONS',
+        volunteering: 'VOLUNTEERING',
+        awards: 'AWARDS',
+        languages: 'LANGUAGES',
+        references: 'REFERENCES'
+    }
+};